@@ -0,0 +1,50 @@
+/**
+ * Minimal endpoint for trying out the tracker transport locally
+ *
+ * Usage: node examples/mock-endpoint.cjs [port]
+ * Then create the tracker with `transport: { endpoint: 'http://localhost:8787/collect' }`.
+ * Start it with FAIL=1 to answer every request with 503 and exercise the retry queue.
+ */
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const shouldFail = process.env.FAIL === '1';
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    try {
+      const payload = JSON.parse(body);
+      const types = payload.records.map(record => record.type).join(', ');
+      console.log(`[${new Date().toISOString()}] ${payload.records.length} record(s): ${types}`);
+    } catch (error) {
+      console.log(`[${new Date().toISOString()}] invalid payload: ${error.message}`);
+    }
+
+    res.writeHead(shouldFail ? 503 : 204);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock endpoint listening on http://localhost:${port}/collect${shouldFail ? ' (failing)' : ''}`);
+});
@@ -0,0 +1,91 @@
+/**
+ * Audience-level aggregation of engagement exports
+ *
+ * Merges the `exportData()` payloads of many readers into per-block
+ * statistics, the data behind a "most read" heatmap.
+ */
+
+/**
+ * Compute a percentile of sorted values using linear interpolation
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-1)
+ * @returns {number} - Percentile value, 0 for an empty list
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Aggregate many readers' exports keyed by block ID
+ *
+ * A reader "reached" a block when their dwell time on it exceeds `minDwell`.
+ * The drop-off rate of a block is the share of readers who reached it but no
+ * block after it, i.e. for whom it was the last block read.
+ * @param {Object[]} payloads - `exportData()` results, one per reader or session
+ * @param {Object} [options] - Aggregation options
+ * @param {number} [options.minDwell=0] - Dwell time (ms) above which a block counts as reached
+ * @returns {Object} - Aggregate with `readers`, `order` and per-block `blocks` statistics
+ */
+export function aggregateExports(payloads, { minDwell = 0 } = {}) {
+  if (!Array.isArray(payloads)) {
+    throw new TypeError('payloads must be an array of exportData() results');
+  }
+
+  const order = [];
+  const dwell = new Map();
+  const meta = new Map();
+  const lastReached = new Map();
+
+  payloads.forEach(payload => {
+    let last = null;
+    const records = (payload && payload.blocks) || {};
+    // Drop-off depends on page order, older payloads only have key order
+    const ids = Array.isArray(payload && payload.order) ? payload.order : Object.keys(records);
+
+    ids.forEach(id => {
+      const record = records[id];
+      if (!record) return;
+      if (!dwell.has(id)) {
+        order.push(id);
+        dwell.set(id, []);
+        meta.set(id, { kind: record.kind, text: record.text });
+      }
+
+      const time = record.rawTime || 0;
+      if (time > minDwell) {
+        dwell.get(id).push(time);
+        last = id;
+      }
+    });
+
+    if (last !== null) {
+      lastReached.set(last, (lastReached.get(last) || 0) + 1);
+    }
+  });
+
+  const readers = payloads.length;
+  const blocks = {};
+
+  order.forEach(id => {
+    const values = dwell.get(id).sort((a, b) => a - b);
+    const total = values.reduce((sum, value) => sum + value, 0);
+
+    blocks[id] = {
+      ...meta.get(id),
+      readers: values.length,
+      reach: readers > 0 ? values.length / readers : 0,
+      mean: values.length > 0 ? Math.round(total / values.length) : 0,
+      median: Math.round(percentile(values, 0.5)),
+      p90: Math.round(percentile(values, 0.9)),
+      dropOff: values.length > 0 ? (lastReached.get(id) || 0) / values.length : 0
+    };
+  });
+
+  return { readers, order, blocks };
+}
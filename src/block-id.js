@@ -0,0 +1,117 @@
+/**
+ * Deterministic block identifiers derived from element content
+ *
+ * IDs only depend on what a block says (and optionally where it sits), so the
+ * same paragraph gets the same ID across reloads, sessions and readers.
+ */
+
+/**
+ * Normalize text before hashing so whitespace and Unicode differences
+ * introduced by templating or reflow don't change the ID
+ * @param {string} text - Raw text content
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Hash a string using 32-bit FNV-1a
+ * @param {string} input - String to hash
+ * @returns {string} - 8 character hexadecimal hash
+ */
+export function hashString(input) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a structural path from a root element down to an element
+ * Each step is `tag:n` where n is the 1-based index among same-tag siblings.
+ * @param {Element} element - Target element
+ * @param {Element} [root] - Element to stop at (exclusive); defaults to the document root
+ * @returns {string} - Path such as `section:2>p:3`
+ */
+export function getDomPath(element, root) {
+  const steps = [];
+  let node = element;
+
+  while (node && node.nodeType === 1 && node !== root) {
+    const tag = node.tagName.toLowerCase();
+    let index = 1;
+    let sibling = node.previousElementSibling;
+    while (sibling) {
+      if (sibling.tagName === node.tagName) index++;
+      sibling = sibling.previousElementSibling;
+    }
+    steps.unshift(`${tag}:${index}`);
+    node = node.parentElement;
+  }
+
+  return steps.join('>');
+}
+
+/**
+ * Create the base ID for an element, before collision handling
+ * @param {Element} element - Element to identify
+ * @param {Object} [options] - ID options
+ * @param {string} [options.strategy='content'] - 'content' or 'content+path'
+ * @param {Element} [options.root] - Root for the DOM path
+ * @returns {string} - Base block ID
+ */
+export function createBlockId(element, { strategy = 'content', root } = {}) {
+  let source = normalizeText(element.textContent);
+
+  if (strategy === 'content+path') {
+    source += `|${getDomPath(element, root)}`;
+  }
+
+  return `b-${hashString(source)}`;
+}
+
+/**
+ * Resolve a base ID against IDs already in use
+ * The first block keeps the base ID; identical blocks that follow in document
+ * order get `-2`, `-3`, ... appended.
+ * @param {string} baseId - Base block ID
+ * @param {Set<string>|Map<string, *>} usedIds - IDs already assigned
+ * @returns {string} - Unique block ID
+ */
+export function resolveCollision(baseId, usedIds) {
+  if (!usedIds.has(baseId)) return baseId;
+
+  let occurrence = 2;
+  while (usedIds.has(`${baseId}-${occurrence}`)) {
+    occurrence++;
+  }
+  return `${baseId}-${occurrence}`;
+}
+
+/**
+ * Compare two nodes by document order, for sorting
+ * Nodes in different shadow trees or frames are ordered consistently by the
+ * browser, though not necessarily by their rendered position.
+ * @param {Node} a - First node
+ * @param {Node} b - Second node
+ * @returns {number} - Negative if `a` comes first, positive if `b` does, 0 for the same node
+ */
+export function compareDocumentOrder(a, b) {
+  if (a === b) return 0;
+
+  const position = a.compareDocumentPosition(b);
+  if (position & 4) return -1; // DOCUMENT_POSITION_FOLLOWING
+  if (position & 2) return 1; // DOCUMENT_POSITION_PRECEDING
+  return 0;
+}
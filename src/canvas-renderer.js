@@ -0,0 +1,155 @@
+/**
+ * CanvasHeatmapRenderer - Draws the heatmap strip on a single canvas
+ *
+ * Meant for documents with thousands of blocks, where one element and one
+ * listener per block gets expensive. Clicks and hovers are mapped back to
+ * blocks by hit-testing the drawn segments.
+ */
+class CanvasHeatmapRenderer {
+  /**
+   * Create a new canvas renderer
+   * @param {Object} [options] - Renderer options
+   * @param {Function} [options.onSelect] - Called with the segment that was clicked
+   * @param {number} [options.minSegmentHeight=2] - Minimum drawn height in CSS pixels
+   */
+  constructor({ onSelect = () => {}, minSegmentHeight = 2 } = {}) {
+    this.onSelect = onSelect;
+    this.minSegmentHeight = minSegmentHeight;
+    this.segments = [];
+    this.hovered = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'heatmap-canvas';
+    this.canvas.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+    `;
+
+    this.canvas.addEventListener('click', this.handleClick);
+    this.canvas.addEventListener('mousemove', this.handleMouseMove);
+    this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+  }
+
+  /**
+   * Draw segments
+   * @param {Object[]} segments - Segments sorted by `top`; `top` and `height` are
+   *   fractions (0-1) of the strip, `color` and `title` describe the block
+   */
+  render(segments) {
+    this.segments = segments;
+
+    const { clientWidth, clientHeight } = this.canvas;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(Math.round(clientWidth * ratio), 1);
+    const height = Math.max(Math.round(clientHeight * ratio), 1);
+
+    // Resizing the canvas clears it, so only do it when needed
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    const context = this.canvas.getContext('2d');
+    if (!context) return;
+
+    context.clearRect(0, 0, width, height);
+    const minHeight = this.minSegmentHeight * ratio;
+
+    segments.forEach((segment) => {
+      context.fillStyle = segment.color;
+      context.fillRect(
+        0,
+        segment.top * height,
+        width,
+        Math.max(segment.height * height, minHeight)
+      );
+    });
+  }
+
+  /**
+   * Find the segment drawn at a vertical position
+   * @param {number} y - Offset from the top of the canvas in CSS pixels
+   * @returns {Object|null} - Segment under the position
+   */
+  hitTest(y) {
+    const { clientHeight } = this.canvas;
+    if (clientHeight === 0) return null;
+
+    const position = y / clientHeight;
+    const minHeight = this.minSegmentHeight / clientHeight;
+
+    // Last segment starting at or above the position
+    let low = 0;
+    let high = this.segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.segments[mid].top <= position) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    // Overlapping segments (nested blocks) can hide a match further up
+    for (let i = found; i >= 0; i--) {
+      const segment = this.segments[i];
+      if (position < segment.top + Math.max(segment.height, minHeight)) {
+        return segment;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle clicks on the canvas
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  handleClick = (event) => {
+    const segment = this.hitTest(event.offsetY);
+    if (segment) {
+      this.onSelect(segment);
+    }
+  };
+
+  /**
+   * Show the hovered block's tooltip
+   * @param {MouseEvent} event - Mouse event
+   * @private
+   */
+  handleMouseMove = (event) => {
+    const segment = this.hitTest(event.offsetY);
+    if (segment === this.hovered) return;
+
+    this.hovered = segment;
+    this.canvas.title = segment ? segment.title : '';
+    this.canvas.style.cursor = segment ? 'pointer' : 'default';
+  };
+
+  /**
+   * Reset hover state
+   * @private
+   */
+  handleMouseLeave = () => {
+    this.hovered = null;
+    this.canvas.title = '';
+  };
+
+  /**
+   * Remove the canvas and its listeners
+   */
+  destroy() {
+    this.canvas.removeEventListener('click', this.handleClick);
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+    this.canvas.remove();
+    this.segments = [];
+  }
+}
+
+export default CanvasHeatmapRenderer;
@@ -0,0 +1,126 @@
+import { interpolateRgb } from 'd3-interpolate';
+
+/**
+ * Continuous color scales for the heatmap
+ *
+ * A scale maps block values onto a gradient made of any number of color
+ * stops. Values are normalized first, using one of:
+ *   - 'linear'   value / max
+ *   - 'log'      log(1 + value) / log(1 + max), so one outlier doesn't flatten the rest
+ *   - 'quantile' rank of the value among all values
+ */
+
+/**
+ * Supported scale types
+ * @type {string[]}
+ */
+export const SCALE_TYPES = ['linear', 'log', 'quantile'];
+
+/**
+ * Build a gradient function from color stops
+ * @param {string[]} stops - Two or more CSS colors, from lowest to highest
+ * @returns {Function} - `(t) => color` for t in [0, 1]
+ */
+export function createGradient(stops) {
+  if (!Array.isArray(stops) || stops.length === 0) {
+    throw new TypeError('Color stops must be a non-empty array');
+  }
+
+  if (stops.length === 1) {
+    return () => stops[0];
+  }
+
+  const segments = stops.length - 1;
+  const interpolators = stops.slice(1).map((color, i) => interpolateRgb(stops[i], color));
+
+  return (t) => {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    const index = Math.min(Math.floor(clamped * segments), segments - 1);
+    return interpolators[index](clamped * segments - index);
+  };
+}
+
+/**
+ * Create a color scale for a set of values
+ * @param {Object} options - Scale options
+ * @param {string[]} options.stops - Color stops, from lowest to highest
+ * @param {string} [options.type='linear'] - 'linear', 'log' or 'quantile'
+ * @param {number[]} values - All values the scale has to cover
+ * @returns {Object} - Scale with `normalize(value)`, `color(value)`, `invert(t)` and `max`
+ */
+export function createColorScale({ stops, type = 'linear' }, values) {
+  if (!SCALE_TYPES.includes(type)) {
+    throw new RangeError(`Scale type must be one of: ${SCALE_TYPES.join(', ')}`);
+  }
+
+  const gradient = createGradient(stops);
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  const max = sorted.length > 0 ? sorted[sorted.length - 1] : 0;
+
+  let normalize;
+  let invert;
+
+  if (type === 'log') {
+    const logMax = Math.log1p(max);
+    normalize = value => (logMax > 0 ? Math.log1p(Math.max(value, 0)) / logMax : 0);
+    invert = t => Math.expm1(t * logMax);
+  } else if (type === 'quantile') {
+    normalize = (value) => {
+      if (sorted.length === 0 || value <= 0) return 0;
+      // Share of positive values at or below this one
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] <= value) low = mid + 1;
+        else high = mid;
+      }
+      return low / sorted.length;
+    };
+    invert = (t) => {
+      if (sorted.length === 0) return 0;
+      const index = Math.min(Math.max(Math.ceil(t * sorted.length) - 1, 0), sorted.length - 1);
+      return t <= 0 ? 0 : sorted[index];
+    };
+  } else {
+    normalize = value => (max > 0 ? Math.max(value, 0) / max : 0);
+    invert = t => t * max;
+  }
+
+  return {
+    max,
+    normalize,
+    invert,
+    color: value => gradient(normalize(value)),
+    gradient
+  };
+}
+
+/**
+ * Apply an opacity to a CSS color
+ * @param {string} color - CSS color
+ * @param {number} opacity - Opacity (0-1)
+ * @returns {string} - `rgba()` color
+ */
+export function withOpacity(color, opacity) {
+  // d3 treats 'transparent' as having no color channels, so only alpha is interpolated
+  return interpolateRgb(color, 'transparent')(1 - opacity);
+}
+
+/**
+ * Create a color scale for categorical values
+ * Categories are ordered from lowest to highest, which is the order used for
+ * normalizing, ranking and the legend.
+ * @param {Object<string, string>} colors - Color per category, lowest first
+ * @returns {Object} - Scale with `categories`, `normalize(value)` and `color(value)`
+ */
+export function createCategoricalScale(colors) {
+  const categories = Object.keys(colors);
+  const steps = Math.max(categories.length - 1, 1);
+
+  return {
+    categories,
+    normalize: value => Math.max(categories.indexOf(value), 0) / steps,
+    color: value => colors[value] || colors[categories[0]]
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * EngagementEngine - DOM-free dwell time accrual
+ *
+ * Consumes visibility samples (block ID, visible ratio, timestamp) and
+ * attention changes, and accrues per-block dwell time from them. The browser
+ * tracker feeds it from its observers; in Node it can recompute engagement
+ * from raw sample logs, e.g. with different thresholds.
+ *
+ * Time accrues for a block between two updates while the engine is active and
+ * the block's last known visible ratio is at least `visibilityThreshold`:
+ *   timeSpent    += elapsed
+ *   weightedTime += elapsed * visibleRatio
+ *
+ * Blocks are ranked by a score computed from these totals, see SCORING_MODELS.
+ * Word-based models need each block's `wordCount`, passed to `addBlock()` or
+ * carried by a block's samples.
+ */
+
+/**
+ * Built-in scoring models
+ * Each maps a block's totals to a score, `context.expectedWpm` is the reading
+ * pace a block is expected to be read at.
+ *   - 'raw'       dwell time in ms
+ *   - 'weighted'  dwell time weighted by how much of the block was visible
+ *   - 'perWord'   dwell time per word, so long blocks don't dominate
+ *   - 'readRatio' dwell time over the time reading the block should take
+ * @type {Object<string, Function>}
+ */
+export const SCORING_MODELS = {
+  raw: block => block.timeSpent,
+  weighted: block => block.weightedTime,
+  perWord: block => block.timeSpent / Math.max(block.wordCount || 0, 1),
+  readRatio: (block, { expectedWpm }) => {
+    const expectedTime = Math.max(block.wordCount || 0, 1) / expectedWpm * 60000;
+    return block.timeSpent / expectedTime;
+  }
+};
+
+/**
+ * Models that normalize by block length and need a `wordCount` per block
+ * @type {string[]}
+ */
+const WORD_MODELS = ['perWord', 'readRatio'];
+
+/**
+ * Default reading pace for the 'readRatio' model, in words per minute
+ * @type {number}
+ */
+const EXPECTED_WPM = 230;
+
+/**
+ * Score a block
+ * @param {Object} block - Block totals (`timeSpent`, `weightedTime`, `wordCount`, ...)
+ * @param {string|Function} [model='raw'] - Built-in model name or `(block, context) => number`
+ * @param {Object} [context] - Scoring context
+ * @param {number} [context.expectedWpm=230] - Expected reading pace
+ * @returns {number} - Score, 0 when the model returns anything but a finite non-negative number
+ */
+export function scoreBlock(block, model = 'raw', { expectedWpm = EXPECTED_WPM } = {}) {
+  const scorer = typeof model === 'function' ? model : SCORING_MODELS[model];
+  if (!scorer) {
+    throw new RangeError(`Scoring model must be a function or one of: ${Object.keys(SCORING_MODELS).join(', ')}`);
+  }
+  if (WORD_MODELS.includes(model) && typeof block.wordCount !== 'number') {
+    throw new TypeError(`The '${model}' scoring model needs a wordCount for every block`);
+  }
+
+  const score = scorer(block, { expectedWpm });
+  return Number.isFinite(score) && score > 0 ? score : 0;
+}
+
+class EngagementEngine {
+  /**
+   * Create a new engine
+   * @param {Object} [options] - Engine options
+   * @param {number} [options.visibilityThreshold=0.5] - Visible ratio (0-1) from which time accrues
+   * @param {number} [options.minTimeThreshold=1000] - Dwell time in ms subtracted for `adjustedTime`
+   * @param {boolean} [options.active=true] - Whether time accrues from the start
+   * @param {string|Function} [options.scoring='raw'] - Scoring model, see {@link scoreBlock}
+   * @param {number} [options.expectedWpm=230] - Expected reading pace for the 'readRatio' model
+   */
+  constructor({
+    visibilityThreshold = 0.5,
+    minTimeThreshold = 1000,
+    active = true,
+    scoring = 'raw',
+    expectedWpm = EXPECTED_WPM
+  } = {}) {
+    if (typeof scoring !== 'function' && !SCORING_MODELS[scoring]) {
+      throw new RangeError(`Scoring model must be a function or one of: ${Object.keys(SCORING_MODELS).join(', ')}`);
+    }
+
+    this.visibilityThreshold = visibilityThreshold;
+    this.minTimeThreshold = minTimeThreshold;
+    this.active = active;
+    this.scoring = scoring;
+    this.expectedWpm = expectedWpm;
+    this.blocks = new Map();
+  }
+
+  /**
+   * Recompute engagement from a log of samples
+   * @param {Object[]} samples - Visibility samples `{ blockId, ratio, timestamp, wordCount? }` and
+   *   attention samples `{ active, timestamp }`, in any order
+   * @param {Object} [options] - Engine options, see the constructor
+   * @returns {EngagementEngine} - Engine with every sample applied, updated up to the last timestamp
+   */
+  static fromSamples(samples, options = {}) {
+    if (!Array.isArray(samples)) {
+      throw new TypeError('samples must be an array');
+    }
+
+    const engine = new EngagementEngine(options);
+    const sorted = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+
+    sorted.forEach(sample => {
+      if (typeof sample.active === 'boolean') {
+        engine.setActive(sample.active, sample.timestamp);
+      } else {
+        const state = engine.sample(sample.blockId, sample.ratio, sample.timestamp);
+        if (typeof sample.wordCount === 'number') {
+          state.wordCount = sample.wordCount;
+        }
+      }
+    });
+
+    if (sorted.length > 0) {
+      engine.updateAll(sorted[sorted.length - 1].timestamp);
+    }
+    return engine;
+  }
+
+  /**
+   * Start accruing for a block
+   * The state object is filled in and mutated in place, so callers can keep
+   * their own fields on it.
+   * @param {string} id - Block ID
+   * @param {Object} [state={}] - Block state, with the block's `wordCount` for word-based scoring
+   * @returns {Object} - The block state
+   */
+  addBlock(id, state = {}) {
+    state.visibleRatio = state.visibleRatio || 0;
+    state.maxRatio = state.maxRatio || 0;
+    state.timeSpent = state.timeSpent || 0;
+    state.weightedTime = state.weightedTime || 0;
+    state.lastUpdate = state.lastUpdate ?? null;
+
+    this.blocks.set(id, state);
+    return state;
+  }
+
+  /**
+   * Stop accruing for a block
+   * @param {string} id - Block ID
+   */
+  removeBlock(id) {
+    this.blocks.delete(id);
+  }
+
+  /**
+   * Get a block's state
+   * @param {string} id - Block ID
+   * @returns {Object|undefined} - Block state
+   */
+  getBlock(id) {
+    return this.blocks.get(id);
+  }
+
+  /**
+   * Remove all blocks
+   */
+  clear() {
+    this.blocks.clear();
+  }
+
+  /**
+   * Record a visibility sample
+   * Time up to the sample accrues at the previous ratio; unknown blocks are added.
+   * @param {string} id - Block ID
+   * @param {number} ratio - Visible ratio (0-1)
+   * @param {number} timestamp - Sample time in ms
+   * @returns {Object} - The block state
+   */
+  sample(id, ratio, timestamp) {
+    const state = this.blocks.get(id) || this.addBlock(id);
+
+    this.accrue(state, timestamp);
+    state.visibleRatio = ratio;
+    state.maxRatio = Math.max(state.maxRatio, ratio);
+    return state;
+  }
+
+  /**
+   * Switch accrual on or off, e.g. when the reader goes idle or comes back
+   * Time up to the switch accrues in the previous state.
+   * @param {boolean} active - Whether time accrues
+   * @param {number} timestamp - Time of the switch in ms
+   */
+  setActive(active, timestamp) {
+    this.updateAll(timestamp);
+    this.active = active;
+  }
+
+  /**
+   * Accrue time for one block up to a timestamp
+   * @param {string} id - Block ID
+   * @param {number} timestamp - Current time in ms
+   * @returns {Object|undefined} - The block state
+   */
+  update(id, timestamp) {
+    const state = this.blocks.get(id);
+    if (state) {
+      this.accrue(state, timestamp);
+    }
+    return state;
+  }
+
+  /**
+   * Accrue time for every block up to a timestamp
+   * @param {number} timestamp - Current time in ms
+   */
+  updateAll(timestamp) {
+    this.blocks.forEach(state => this.accrue(state, timestamp));
+  }
+
+  /**
+   * Add the time since the last update to a block
+   * @param {Object} state - Block state
+   * @param {number} timestamp - Current time in ms
+   * @private
+   */
+  accrue(state, timestamp) {
+    if (this.active && state.lastUpdate !== null && state.visibleRatio >= this.visibilityThreshold) {
+      const delta = Math.max(timestamp - state.lastUpdate, 0);
+      state.timeSpent += delta;
+      state.weightedTime += delta * state.visibleRatio;
+    }
+    state.lastUpdate = timestamp;
+  }
+
+  /**
+   * Score a block with the engine's model
+   * @param {string} id - Block ID
+   * @returns {number} - Score, 0 for unknown blocks
+   */
+  score(id) {
+    const state = this.blocks.get(id);
+    return state ? scoreBlock({ id, ...state }, this.scoring, { expectedWpm: this.expectedWpm }) : 0;
+  }
+
+  /**
+   * Get the accrued totals of every block
+   * @returns {Object} - `{ timeSpent, adjustedTime, weightedTime, maxRatio, score }` keyed by block ID,
+   *   times rounded to whole ms
+   */
+  getResults() {
+    const results = {};
+
+    this.blocks.forEach((state, id) => {
+      results[id] = {
+        timeSpent: Math.round(state.timeSpent),
+        adjustedTime: Math.round(Math.max(state.timeSpent - this.minTimeThreshold, 0)),
+        weightedTime: Math.round(state.weightedTime),
+        maxRatio: state.maxRatio,
+        score: this.score(id)
+      };
+    });
+
+    return results;
+  }
+}
+
+export default EngagementEngine;
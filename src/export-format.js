@@ -0,0 +1,221 @@
+/**
+ * Export payload schema and serializers
+ *
+ * `exportData()` returns a versioned payload:
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     session: { id, url, startedAt, exportedAt, viewport: { width, height } },
+ *     order: [blockId, ...],            // blocks in page order, top to bottom
+ *     blocks: { [blockId]: { kind, article, wordCount, reading, readingSpeed, rawTime,
+ *                             adjustedTime, weightedTime, maxRatio, score, text,
+ *                             interactions, element } },
+ *     attention: { activeTime, idleTime },
+ *     progress: { ... },                // see getProgress()
+ *     articles: { ... },                // only when articles are registered
+ *     timeline: { intervals, path, dropped }  // only when the timeline is enabled
+ *   }
+ *
+ * Page order is the blocks' layout position, blocks at the same height keep
+ * their document order. The order the reader visited blocks in is
+ * `timeline.path`.
+ *
+ * Timestamps are epoch milliseconds, durations are milliseconds. The version
+ * is bumped whenever a field changes meaning or is removed.
+ */
+
+/**
+ * Current export schema version
+ * @type {number}
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Supported serialization formats
+ * @type {string[]}
+ */
+export const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+/**
+ * CSV columns, one row per block
+ * @type {Array<[string, Function]>}
+ */
+const CSV_COLUMNS = [
+  ['sessionId', (id, block, payload) => payload.session && payload.session.id],
+  ['url', (id, block, payload) => payload.session && payload.session.url],
+  ['position', (id, block, payload, index) => index],
+  ['blockId', id => id],
+  ['article', (id, block) => block.article],
+  ['kind', (id, block) => block.kind],
+  ['wordCount', (id, block) => block.wordCount],
+  ['reading', (id, block) => block.reading],
+  ['readingSpeed', (id, block) => block.readingSpeed],
+  ['rawTime', (id, block) => block.rawTime],
+  ['adjustedTime', (id, block) => block.adjustedTime],
+  ['weightedTime', (id, block) => block.weightedTime],
+  ['maxRatio', (id, block) => block.maxRatio],
+  ['score', (id, block) => block.score],
+  ['selections', (id, block) => block.interactions && block.interactions.selections],
+  ['copies', (id, block) => block.interactions && block.interactions.copies],
+  ['shares', (id, block) => block.interactions && block.interactions.shares],
+  ['text', (id, block) => block.text]
+];
+
+/**
+ * Get block IDs in page order
+ * @param {Object} payload - Export payload
+ * @returns {string[]} - Block IDs
+ */
+function getOrder(payload) {
+  return Array.isArray(payload.order) ? payload.order : Object.keys(payload.blocks || {});
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a payload as CSV, one row per block
+ * Session-level data (attention, progress, timeline) has no place in the
+ * table and is left out, so CSV can't be imported back.
+ * @param {Object} payload - Export payload
+ * @returns {string} - CSV with a header row
+ */
+function toCsv(payload) {
+  const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+
+  getOrder(payload).forEach((id, index) => {
+    const block = payload.blocks[id];
+    if (!block) return;
+    rows.push(CSV_COLUMNS.map(([, get]) => escapeCsv(get(id, block, payload, index))).join(','));
+  });
+
+  return rows.join('\r\n');
+}
+
+/**
+ * Serialize a payload as NDJSON
+ * The first line holds everything but blocks and intervals, followed by one
+ * line per block in page order and one per timeline interval.
+ * @param {Object} payload - Export payload
+ * @returns {string} - Newline-delimited JSON
+ */
+function toNdjson(payload) {
+  const { blocks, order, timeline, ...meta } = payload;
+  const header = { type: 'session', ...meta };
+  if (timeline) {
+    header.timeline = { path: timeline.path, dropped: timeline.dropped };
+  }
+
+  const lines = [header];
+  getOrder(payload).forEach(id => {
+    if (blocks[id]) {
+      lines.push({ type: 'block', id, ...blocks[id] });
+    }
+  });
+  if (timeline) {
+    timeline.intervals.forEach(interval => lines.push({ type: 'interval', ...interval }));
+  }
+
+  return lines.map(line => JSON.stringify(line)).join('\n');
+}
+
+/**
+ * Rebuild a payload from NDJSON
+ * @param {string} text - Output of the NDJSON serializer
+ * @returns {Object} - Export payload
+ */
+function fromNdjson(text) {
+  let payload = null;
+  const blocks = {};
+  const order = [];
+  const intervals = [];
+
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+
+    const { type, ...record } = JSON.parse(line);
+    if (type === 'session') {
+      payload = record;
+    } else if (type === 'block') {
+      const { id, ...block } = record;
+      blocks[id] = block;
+      order.push(id);
+    } else if (type === 'interval') {
+      intervals.push(record);
+    }
+  });
+
+  if (!payload) {
+    throw new TypeError('NDJSON export is missing its session line');
+  }
+
+  payload.order = order;
+  payload.blocks = blocks;
+  if (payload.timeline) {
+    payload.timeline = { ...payload.timeline, intervals };
+  }
+  return payload;
+}
+
+/**
+ * Serialize an export payload
+ * @param {Object} payload - `exportData()` result
+ * @param {string} [format='json'] - 'json', 'csv' or 'ndjson'
+ * @returns {string} - Serialized payload
+ */
+export function serializeExport(payload, format = 'json') {
+  if (!payload || typeof payload.blocks !== 'object') {
+    throw new TypeError('payload must be an exportData() result');
+  }
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(payload);
+    case 'csv':
+      return toCsv(payload);
+    case 'ndjson':
+      return toNdjson(payload);
+    default:
+      throw new RangeError(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Parse a serialized export payload and check its schema version
+ * @param {string|Object} input - Serialized payload, or an already parsed one
+ * @param {string} [format='json'] - 'json' or 'ndjson'
+ * @returns {Object} - Export payload
+ */
+export function parseExport(input, format = 'json') {
+  let payload = input;
+
+  if (typeof input === 'string') {
+    if (format === 'json') {
+      payload = JSON.parse(input);
+    } else if (format === 'ndjson') {
+      payload = fromNdjson(input);
+    } else {
+      throw new RangeError('Only json and ndjson exports can be parsed');
+    }
+  }
+
+  if (!payload || typeof payload.blocks !== 'object' || payload.blocks === null) {
+    throw new TypeError('Input is not an exported payload');
+  }
+  if (typeof payload.schemaVersion !== 'number') {
+    throw new TypeError('Export has no schemaVersion');
+  }
+  if (payload.schemaVersion > SCHEMA_VERSION) {
+    throw new RangeError(`Export schema version ${payload.schemaVersion} is newer than supported (${SCHEMA_VERSION})`);
+  }
+
+  return payload;
+}
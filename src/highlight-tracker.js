@@ -1,13 +1,259 @@
 import { EventEmitter } from 'events';
-import { interpolateRgb } from 'd3-interpolate';
+import {
+  createBlockId,
+  resolveCollision,
+  compareDocumentOrder,
+  hashString,
+  normalizeText
+} from './block-id.js';
+import {
+  SNAPSHOT_VERSION,
+  createStorageAdapter,
+  isSnapshotValid,
+  capSnapshot
+} from './storage.js';
+import Transport from './transport.js';
+import { aggregateExports } from './aggregate.js';
+import {
+  SCHEMA_VERSION,
+  EXPORT_FORMATS,
+  serializeExport,
+  parseExport
+} from './export-format.js';
+import {
+  createColorScale,
+  createCategoricalScale,
+  withOpacity,
+  SCALE_TYPES
+} from './color-scale.js';
+import CanvasHeatmapRenderer from './canvas-renderer.js';
+import ReplayController from './replay.js';
+import EngagementEngine, { scoreBlock, SCORING_MODELS } from './engagement-engine.js';
 
-// Polyfill check at the beginning
-if (typeof IntersectionObserver === 'undefined') {
-  require('intersection-observer');
+// Observer polyfills are opt-in, see polyfills.js
+
+/**
+ * Count the words in a text
+ * @param {string} text - Text content
+ * @returns {number} - Number of whitespace-separated words
+ */
+function countWords(text) {
+  if (!text) return 0;
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Block kinds keyed by tag name, used to label tracked elements
+ * @type {Object<string, string>}
+ */
+const ELEMENT_KINDS = {
+  P: 'paragraph',
+  LI: 'listItem',
+  BLOCKQUOTE: 'blockquote',
+  PRE: 'code',
+  FIGURE: 'figure',
+  TABLE: 'table'
+};
+
+/**
+ * Input events that count as reader activity
+ * @type {string[]}
+ */
+const ACTIVITY_EVENTS = ['scroll', 'wheel', 'pointermove', 'pointerdown', 'keydown', 'touchstart'];
+
+/**
+ * Default reading classification bands, merged with `options.reading`
+ * @type {Object}
+ */
+const READING_DEFAULTS = {
+  readWpm: 450,
+  skimWpm: 1500,
+  maxReadVelocity: 400
+};
+
+/**
+ * Heatmap color modes
+ * @type {string[]}
+ */
+const COLOR_MODES = ['engagement', 'reading', 'highlights'];
+
+/**
+ * Default interaction tracking settings, merged with `options.interactions`
+ * @type {Object}
+ */
+const INTERACTION_DEFAULTS = {
+  selection: true,
+  copy: true,
+  shareSelector: null,
+  offsets: false,
+  maxOffsets: 20
+};
+
+/**
+ * Weight of each interaction in the 'highlights' heatmap score
+ * @type {Object<string, number>}
+ */
+const INTERACTION_WEIGHTS = {
+  selections: 1,
+  copies: 2,
+  shares: 3
+};
+
+/**
+ * Heatmap render modes
+ * @type {string[]}
+ */
+const HEATMAP_MODES = ['strip', 'overlay', 'both'];
+
+/**
+ * Default overlay settings, merged with `options.overlay`
+ * @type {Object}
+ */
+const OVERLAY_DEFAULTS = {
+  style: 'background',
+  opacity: 0.35,
+  badge: false
+};
+
+/**
+ * Default timeline settings, merged with `options.timeline`
+ * @type {Object}
+ */
+const TIMELINE_DEFAULTS = {
+  enabled: false,
+  maxEvents: 5000
+};
+
+/**
+ * Default progress settings, merged with `options.progress`
+ * @type {Object}
+ */
+const PROGRESS_DEFAULTS = {
+  milestones: [25, 50, 75, 100],
+  completion: 0.9,
+  defaultWpm: 230
+};
+
+/**
+ * Default persistence settings, merged with `options.persistence`
+ * @type {Object}
+ */
+const PERSISTENCE_DEFAULTS = {
+  adapter: 'localStorage',
+  key: null,
+  checkpointInterval: 10000,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+  maxBytes: 100000
+};
+
+/**
+ * Default privacy settings, merged with `options.privacy`
+ * @type {Object}
+ */
+const PRIVACY_DEFAULTS = {
+  requireConsent: false,
+  honorGpc: true,
+  honorDnt: true,
+  text: 'truncate',
+  textLength: 100,
+  sampleRate: 1
+};
+
+/**
+ * How block text is included in exports
+ * @type {string[]}
+ */
+const TEXT_MODES = ['none', 'hash', 'truncate'];
+
+/**
+ * Storage key of the visitor's sampling bucket
+ * @type {string}
+ */
+const SAMPLE_KEY = 'highlight-tracker:sample';
+
+/**
+ * Default single-page app navigation settings, merged with `options.navigation`
+ * @type {Object}
+ */
+const NAVIGATION_DEFAULTS = {
+  container: null,
+  settleDelay: 100
+};
+
+/**
+ * Window event dispatched after `history.pushState` and `history.replaceState`
+ * @type {string}
+ */
+const NAVIGATION_EVENT = 'highlighttracker:navigate';
+
+/**
+ * Wrapped history methods and the number of trackers relying on them
+ * @type {{ originals: Object<string, Function>, wrappers: Object<string, Function>, users: number }|null}
+ */
+let historyPatch = null;
+
+/**
+ * Make history API navigation observable
+ * The browser only reports back/forward navigation (popstate), so pushState
+ * and replaceState are wrapped to dispatch NAVIGATION_EVENT. The wrappers are
+ * shared by all trackers and installed while at least one of them needs them.
+ */
+function patchHistory() {
+  if (historyPatch) {
+    historyPatch.users++;
+    return;
+  }
+  
+  historyPatch = { originals: {}, wrappers: {}, users: 1 };
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = window.history[method];
+    const wrapper = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(NAVIGATION_EVENT));
+      return result;
+    };
+    historyPatch.originals[method] = original;
+    historyPatch.wrappers[method] = wrapper;
+    window.history[method] = wrapper;
+  });
+}
+
+/**
+ * Release the history wrappers, restoring the originals after the last user
+ * A method wrapped again by someone else since is left alone, restoring it
+ * would drop their wrapper.
+ */
+function unpatchHistory() {
+  if (!historyPatch || --historyPatch.users > 0) return;
+  
+  Object.entries(historyPatch.originals).forEach(([method, original]) => {
+    if (window.history[method] === historyPatch.wrappers[method]) {
+      window.history[method] = original;
+    }
+  });
+  historyPatch = null;
+}
+
+/**
+ * Get the current page URL, ignoring the hash
+ * In-page anchor links change the hash without changing the page.
+ * @returns {string} - URL without the fragment
+ */
+function getPageUrl() {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}`;
 }
 
-if (typeof ResizeObserver === 'undefined') {
-  require('resize-observer-polyfill');
+/**
+ * Create a random session ID
+ * @returns {string} - Session ID
+ */
+function createSessionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
 /**
@@ -15,17 +261,118 @@ if (typeof ResizeObserver === 'undefined') {
  * @extends EventEmitter
  */
 class HighlightTracker extends EventEmitter {
+  /**
+   * Aggregate many readers' exports, see {@link aggregateExports}
+   * @type {Function}
+   */
+  static aggregate = aggregateExports;
+
+  /**
+   * Serialize an export payload, see {@link serializeExport}
+   * @type {Function}
+   */
+  static serialize = serializeExport;
+
   /**
    * Create a new HighlightTracker
    * @param {Object} options - Configuration options
    * @param {number} [options.minTimeThreshold=1000] - Minimum time threshold in ms
    * @param {number} [options.samplingRate=200] - Sampling rate in ms
    * @param {number} [options.visibilityThreshold=0.5] - Visibility threshold (0-1)
+   * @param {number} [options.idleTimeout=30000] - Treat the reader as idle after this many ms without
+   *   scroll, pointer, key or touch input (0 disables idle detection)
+   * @param {boolean} [options.pauseOnBlur=true] - Treat the reader as idle while the window is blurred,
+   *   unless focus moved into an embedded iframe
+   * @param {number} [options.highlightThreshold=5000] - Dwell time in ms after which a block emits
+   *   `highlight` (0 disables the event)
+   * @param {number} [options.tickInterval=1000] - Minimum time in ms between `tick` events while
+   *   tracking (0 disables the event)
+   * @param {string|Function} [options.scoring='raw'] - How blocks are scored for the heatmap and the
+   *   exported `score`: 'raw' (dwell time), 'weighted' (dwell time weighted by visible ratio),
+   *   'perWord' (dwell time per word), 'readRatio' (dwell time over expected read time at
+   *   `progress.defaultWpm`) or a function `(block, { expectedWpm }) => number` receiving the
+   *   block's engagement record and ID
    * @param {Object} [options.colors] - Heatmap colors
    * @param {string} [options.colors.low='#C6E2FF'] - Color for low engagement
    * @param {string} [options.colors.medium='#4F97FF'] - Color for medium engagement
    * @param {string} [options.colors.high='#0047AB'] - Color for high engagement
+   * @param {string[]} [options.colorStops] - Gradient color stops from low to high engagement,
+   *   defaults to `[colors.low, colors.medium, colors.high]`
+   * @param {string} [options.scale='linear'] - Value scaling: 'linear', 'log' or 'quantile'
+   * @param {boolean} [options.legend=false] - Show a legend next to the heatmap
+   * @param {string} [options.colorBy='engagement'] - Heatmap coloring: 'engagement' (dwell time on the
+   *   color scale), 'reading' (read/skimmed/skipped classification)
+   *   or 'highlights' (selections, copies and shares)
+   * @param {Object} [options.readingColors] - Colors for the 'reading' mode
+   * @param {string} [options.readingColors.skipped='#E0E0E0'] - Color for skipped blocks
+   * @param {string} [options.readingColors.skimmed='#4F97FF'] - Color for skimmed blocks
+   * @param {string} [options.readingColors.read='#0047AB'] - Color for read blocks
+   * @param {Object} [options.reading] - Reading classification bands
+   * @param {number} [options.reading.readWpm=450] - Effective speeds up to this many words per minute count as read
+   * @param {number} [options.reading.skimWpm=1500] - Faster speeds up to this count as skimmed, beyond as skipped
+   * @param {number} [options.reading.maxReadVelocity=400] - Average scroll speed (px/s) while the block is in view
+   *   above which a block is at most skimmed
+   * @param {Object} [options.interactions] - Selection, copy and share tracking
+   * @param {boolean} [options.interactions.selection=true] - Count text selections per block
+   * @param {boolean} [options.interactions.copy=true] - Count copies per block
+   * @param {string} [options.interactions.shareSelector] - Selector of share buttons; clicks count as
+   *   shares of the current selection (or the block containing the button)
+   * @param {boolean} [options.interactions.offsets=false] - Record character offsets of each interaction
+   * @param {number} [options.interactions.maxOffsets=20] - Maximum offsets kept per block
+   * @param {Object} [options.timeline] - Per-block visibility interval log
+   * @param {boolean} [options.timeline.enabled=false] - Record timestamped enter/exit intervals
+   * @param {number} [options.timeline.maxEvents=5000] - Maximum intervals kept; the oldest are dropped first
+   * @param {Object} [options.progress] - Article-level progress metrics
+   * @param {number[]} [options.progress.milestones=[25, 50, 75, 100]] - Scroll depths (percent) that emit `milestone`
+   * @param {number} [options.progress.completion=0.9] - Share of blocks read (0-1) at which the article
+   *   counts as completed
+   * @param {number} [options.progress.defaultWpm=230] - Reading pace used for the time remaining estimate
+   *   until the reader's own pace is known, and by the 'readRatio' scoring model
+   * @param {string|HTMLElement} [options.scrollRoot] - Scrollable element the content is read in
+   *   (reader panes, modals, split views); defaults to the page viewport
    * @param {string} [options.heatmapContainer] - Selector for heatmap container
+   * @param {string} [options.renderer='dom'] - Strip renderer: 'dom' (one element per block) or
+   *   'canvas' (single canvas, for documents with thousands of blocks)
+   * @param {string} [options.heatmapMode='strip'] - 'strip' (side bar), 'overlay' (tint blocks in place) or 'both'
+   * @param {Object} [options.overlay] - Overlay mode settings
+   * @param {string} [options.overlay.style='background'] - 'background' tint or 'border' on the left edge
+   * @param {number} [options.overlay.opacity=0.35] - Opacity of the background tint
+   * @param {boolean} [options.overlay.badge=false] - Show a badge with dwell time and rank on each block
+   * @param {string|Function} [options.selector='p'] - CSS selector or predicate `(element) => boolean`
+   *   deciding which elements inside the container are tracked as blocks
+   * @param {string} [options.articleSelector] - Selector of article containers inside the tracked
+   *   container, registered automatically (including ones added later), see `addArticle()`
+   * @param {boolean} [options.shadowDom=false] - Also track blocks inside open shadow roots
+   * @param {boolean} [options.iframes=false] - Also track blocks inside same-origin iframes
+   * @param {string} [options.idStrategy='content'] - How block IDs are derived: 'content' hashes the
+   *   normalized text, 'content+path' also includes the element's DOM path inside the container.
+   *   Author-supplied `data-highlight-id` attributes always take priority.
+   * @param {Object} [options.persistence] - Save and resume engagement across page loads (disabled by default)
+   * @param {string|Object} [options.persistence.adapter='localStorage'] - 'localStorage', 'indexedDB'
+   *   or a custom adapter implementing `load(key)`, `save(key, value)` and `remove(key)`
+   * @param {string} [options.persistence.key] - Storage key, defaults to one per page path
+   * @param {number} [options.persistence.checkpointInterval=10000] - Checkpoint interval in ms while tracking
+   * @param {number} [options.persistence.maxAge=604800000] - Discard stored data older than this (ms)
+   * @param {number} [options.persistence.maxBytes=100000] - Maximum serialized snapshot size in UTF-8 bytes
+   * @param {Object} [options.transport] - Deliver data to an endpoint (disabled by default);
+   *   accepts the options of {@link Transport}, `endpoint` is required
+   * @param {Object} [options.privacy] - Consent, privacy signals, text redaction and sampling
+   * @param {boolean} [options.privacy.requireConsent=false] - Nothing is tracked, stored or sent until
+   *   `grantConsent()` is called; `revokeConsent()` wipes everything again and blocks tracking until
+   *   consent is granted, whether or not it is required
+   * @param {boolean} [options.privacy.honorGpc=true] - Never track when Global Privacy Control is on
+   * @param {boolean} [options.privacy.honorDnt=true] - Never track when Do Not Track is on
+   * @param {string} [options.privacy.text='truncate'] - Block text in exports: 'none', 'hash' (of the
+   *   normalized text) or 'truncate'
+   * @param {number} [options.privacy.textLength=100] - Characters kept in 'truncate' mode
+   * @param {number} [options.privacy.sampleRate=1] - Share of visitors (0-1) that are tracked; each
+   *   visitor's bucket is kept in localStorage so they stay in or out across page loads
+   * @param {Object} [options.navigation] - Start a new session on each single-page app navigation
+   *   (`pushState`, `replaceState` and `popstate`; disabled by default)
+   * @param {string|HTMLElement} [options.navigation.container] - Container to track after navigating,
+   *   defaults to the one passed to `init()`; pass a selector if the router replaces the element
+   * @param {number} [options.navigation.settleDelay=100] - Time in ms for the new route to render
+   *   before its blocks are collected
    */
   constructor(options = {}) {
     super();
@@ -35,6 +382,11 @@ class HighlightTracker extends EventEmitter {
       minTimeThreshold: { type: 'number', min: 0, default: 1000 },
       samplingRate: { type: 'number', min: 10, max: 1000, default: 200 },
       visibilityThreshold: { type: 'number', min: 0, max: 1, default: 0.5 },
+      idleTimeout: { type: 'number', min: 0, default: 30000 },
+      pauseOnBlur: { type: 'boolean', default: true },
+      highlightThreshold: { type: 'number', min: 0, default: 5000 },
+      tickInterval: { type: 'number', min: 0, default: 1000 },
+      scoring: { type: ['string', 'function'], default: 'raw' },
       colors: { 
         type: 'object', 
         default: { 
@@ -43,11 +395,46 @@ class HighlightTracker extends EventEmitter {
           high: '#0047AB' 
         } 
       },
-      heatmapContainer: { type: 'string', default: null }
+      colorStops: { type: 'array', default: null },
+      scale: { type: 'string', enum: SCALE_TYPES, default: 'linear' },
+      legend: { type: 'boolean', default: false },
+      colorBy: { type: 'string', enum: COLOR_MODES, default: 'engagement' },
+      readingColors: {
+        type: 'object',
+        default: {
+          skipped: '#E0E0E0',
+          skimmed: '#4F97FF',
+          read: '#0047AB'
+        }
+      },
+      reading: { type: 'object', default: READING_DEFAULTS },
+      interactions: { type: 'object', default: INTERACTION_DEFAULTS },
+      timeline: { type: 'object', default: TIMELINE_DEFAULTS },
+      progress: { type: 'object', default: PROGRESS_DEFAULTS },
+      scrollRoot: { type: ['string', 'object'], default: null },
+      heatmapContainer: { type: 'string', default: null },
+      renderer: { type: 'string', enum: ['dom', 'canvas'], default: 'dom' },
+      heatmapMode: { type: 'string', enum: HEATMAP_MODES, default: 'strip' },
+      overlay: { type: 'object', default: OVERLAY_DEFAULTS },
+      selector: { type: ['string', 'function'], default: 'p' },
+      articleSelector: { type: 'string', default: null },
+      shadowDom: { type: 'boolean', default: false },
+      iframes: { type: 'boolean', default: false },
+      idStrategy: { type: 'string', enum: ['content', 'content+path'], default: 'content' },
+      persistence: { type: 'object', default: null },
+      transport: { type: 'object', default: null },
+      privacy: { type: 'object', default: PRIVACY_DEFAULTS },
+      navigation: { type: 'object', default: null }
     };
     
     this.options = this.validateOptions(options, validationSchema);
     this.initializeState();
+    this.validatePrivacy();
+    if (this.canCollect()) {
+      this.setupPersistence();
+      this.setupTransport();
+    }
+    this.setupNavigation();
     this.setupEventListeners();
   }
 
@@ -63,6 +450,16 @@ class HighlightTracker extends EventEmitter {
     for (const [key, config] of Object.entries(schema)) {
       let value = input[key];
       
+      // Arrays are taken as-is
+      if (config.type === 'array') {
+        value = value ?? config.default;
+        if (value !== null && !Array.isArray(value)) {
+          throw new TypeError(`${key} must be an array`);
+        }
+        options[key] = value;
+        continue;
+      }
+      
       // Handle nested objects
       if (config.type === 'object' && value) {
         if (typeof value !== 'object') {
@@ -74,8 +471,9 @@ class HighlightTracker extends EventEmitter {
       }
       
       // Type validation for non-null values
-      if (value !== null && config.type !== 'object' && typeof value !== config.type) {
-        throw new TypeError(`${key} must be ${config.type}`);
+      const types = Array.isArray(config.type) ? config.type : [config.type];
+      if (value !== null && config.type !== 'object' && !types.includes(typeof value)) {
+        throw new TypeError(`${key} must be ${types.join(' or ')}`);
       }
       
       // Range validation
@@ -87,6 +485,10 @@ class HighlightTracker extends EventEmitter {
         throw new RangeError(`${key} cannot be greater than ${config.max}`);
       }
       
+      if (config.enum && value !== null && !config.enum.includes(value)) {
+        throw new RangeError(`${key} must be one of: ${config.enum.join(', ')}`);
+      }
+      
       options[key] = value;
     }
     
@@ -100,552 +502,3114 @@ class HighlightTracker extends EventEmitter {
   initializeState() {
     this.paragraphs = [];
     this.engagementData = new WeakMap();
+    this.engine = new EngagementEngine({
+      visibilityThreshold: this.options.visibilityThreshold,
+      minTimeThreshold: this.options.minTimeThreshold,
+      active: false,
+      scoring: this.options.scoring,
+      expectedWpm: this.options.progress.defaultWpm
+    });
+    this.container = null;
+    this.scrollRoot = null;
+    this.searchRoots = [];
+    this.frames = new Set();
+    this.frameRoots = new Map();
+    this.frameDocuments = new Set();
+    this.blurTimer = null;
+    this.scrollTarget = null;
+    this.heatmapScrollTarget = null;
+    this.assignedIds = new Map();
+    this.baseIds = new WeakMap();
+    this.articles = new Map();
+    this.articleCount = 0;
     this.observer = null;
     this.resizeObserver = null;
     this.rafId = null;
     this.tabVisible = true;
+    this.unloadFlushed = false;
+    this.isIdle = false;
+    this.idleTimer = null;
+    this.idleStart = null;
+    this.attention = { activeTime: 0, idleTime: 0, since: null };
     this.isTracking = false;
     this.trackingStartTime = 0;
+    this.lastFrameTime = 0;
+    this.lastTickTime = 0;
     this.lastProcessedIndex = 0;
     this.heatmapVisible = false;
     this.heatmapContainer = null;
+    this.heatmapSource = null;
+    this.heatmapMode = this.options.heatmapMode;
+    this.heatmapColorBy = this.options.colorBy;
+    this.overlayLayer = null;
+    this.savedStyles = new Map();
+    this.flashTimers = new Map();
+    this.geometryCache = null;
+    this.canvasRenderer = null;
+    this.replayController = null;
+    this.replayValues = null;
     this.resizeTimeout = null;
     this.maxEngagement = 0;
+    this.visibleBlocks = new Set();
+    this.engagedBlocks = new Set();
+    this.timeline = [];
+    this.timelineDropped = 0;
+    this.timeOrigin = Date.now() - performance.now();
+    this.selectionTimer = null;
+    this.lastSelectionKey = null;
+    this.lastScrollY = 0;
+    this.scrollDirection = 'none';
+    this.maxScrollBottom = 0;
+    this.milestonesReached = new Set();
+    this.storage = null;
+    this.storageError = null;
+    this.checkpointTimer = null;
+    this.restorePromise = null;
+    this.restoreComplete = false;
+    this.restoreToken = 0;
+    this.imported = false;
+    this.transport = null;
+    this.session = null;
+    this.initTarget = null;
+    this.storageKey = null;
+    this.navigationTimer = null;
+    this.pendingNavigation = null;
+    this.historyPatched = false;
+    this.consentGranted = false;
+    this.consentRevoked = false;
+    this.trackingPending = false;
+    this.sampleBucket = null;
   }
 
   /**
-   * Set up global event listeners
+   * Validate the nested privacy options
    * @private
    */
-  setupEventListeners() {
-    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
-    this.handleUnload = this.handleUnload.bind(this);
+  validatePrivacy() {
+    const { text, textLength, sampleRate } = this.options.privacy;
     
-    document.addEventListener('visibilitychange', this.handleVisibilityChange);
-    window.addEventListener('beforeunload', this.handleUnload);
+    if (!TEXT_MODES.includes(text)) {
+      throw new RangeError(`privacy.text must be one of: ${TEXT_MODES.join(', ')}`);
+    }
+    if (typeof textLength !== 'number' || textLength < 0) {
+      throw new RangeError('privacy.textLength must be a non-negative number');
+    }
+    if (typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1) {
+      throw new RangeError('privacy.sampleRate must be between 0 and 1');
+    }
   }
 
   /**
-   * Handle visibility changes (tab focus/blur)
-   * @private
+   * Get the reason tracking is not allowed for this visitor, regardless of consent
+   * @returns {string|null} - 'gpc', 'dnt', 'sampling' or null when allowed
    */
-  handleVisibilityChange = () => {
-    this.tabVisible = document.visibilityState === 'visible';
+  getTrackingBlocker() {
+    const { honorGpc, honorDnt } = this.options.privacy;
     
-    if (this.tabVisible) {
-      // Reset last update time to prevent counting time while tab was hidden
-      const now = performance.now();
-      this.paragraphs.forEach(p => {
-        const data = this.engagementData.get(p);
-        if (data) {
-          data.lastUpdate = now;
-        }
-      });
+    if (honorGpc && navigator.globalPrivacyControl === true) return 'gpc';
+    if (honorDnt && [navigator.doNotTrack, window.doNotTrack].some(value => value === '1' || value === 'yes')) {
+      return 'dnt';
     }
-    
-    this.emit('visibilityChange', { visible: this.tabVisible });
-  };
+    if (!this.isSampledIn()) return 'sampling';
+    return null;
+  }
 
   /**
-   * Handle page unload
+   * Check whether consent is given or not required
+   * A revoked consent counts as refused, even when consent isn't required.
+   * @returns {boolean} - True if data may be collected as far as consent goes
+   */
+  hasConsent() {
+    if (this.consentGranted) return true;
+    return !this.options.privacy.requireConsent && !this.consentRevoked;
+  }
+
+  /**
+   * Check whether data may be tracked, stored and sent
+   * @returns {boolean} - True with consent and no privacy signal or sampling blocking it
    * @private
    */
-  handleUnload = () => {
-    if (this.isTracking) {
+  canCollect() {
+    return this.hasConsent() && this.getTrackingBlocker() === null;
+  }
+
+  /**
+   * Check whether this visitor falls into the sample
+   * @returns {boolean} - True if the visitor is tracked
+   * @private
+   */
+  isSampledIn() {
+    const { sampleRate } = this.options.privacy;
+    if (sampleRate >= 1) return true;
+    
+    if (this.sampleBucket === null) {
       try {
-        // Attempt to send final tracking data
-        const data = this.exportData();
-        this.emit('unload', { data });
-      } catch (err) {
-        // Silent fail on unload
+        const stored = parseFloat(window.localStorage.getItem(SAMPLE_KEY));
+        this.sampleBucket = stored >= 0 && stored < 1 ? stored : null;
+      } catch (error) {
+        // Storage unavailable, the bucket only lasts for this page
+      }
+      if (this.sampleBucket === null) {
+        this.sampleBucket = Math.random();
+        this.saveSampleBucket();
       }
     }
-  };
+    return this.sampleBucket < sampleRate;
+  }
 
   /**
-   * Initialize tracking on a container element
-   * @param {string|HTMLElement} container - Container selector or element
+   * Keep the sampling bucket for later page loads, once consent allows storing
+   * @private
    */
-  init(container) {
+  saveSampleBucket() {
+    if (this.sampleBucket === null || !this.hasConsent()) return;
+    
     try {
-      this.cleanupPrevious();
-      const containerElement = this.validateContainer(container);
-      this.paragraphs = this.getParagraphs(containerElement);
-      this.initializeEngagementData();
-      this.setupObservers();
-      this.setupHeatmapContainer();
-      this.emit('ready', { paragraphCount: this.paragraphs.length });
+      window.localStorage.setItem(SAMPLE_KEY, String(this.sampleBucket));
     } catch (error) {
-      this.emit('error', { message: 'Initialization failed', error });
-      throw error;
+      // Storage unavailable, the bucket only lasts for this page
     }
   }
 
   /**
-   * Clean up previous tracking session
-   * @private
+   * Grant consent to track, store and send engagement data
+   * Starts tracking if `startTracking()` was called while waiting for consent.
    */
-  cleanupPrevious() {
-    if (this.isTracking) {
-      this.stopTracking();
-    }
+  grantConsent() {
+    if (this.consentGranted) return;
     
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
+    this.consentGranted = true;
+    this.consentRevoked = false;
+    this.saveSampleBucket();
+    this.emit('consentGranted');
+    
+    if (!this.canCollect()) return;
+    
+    if (!this.storage) {
+      this.setupPersistence();
+      if (this.container) {
+        this.restorePromise = this.restoreEngagement();
+      }
+    }
+    if (!this.transport) {
+      this.setupTransport();
     }
     
-    if (this.resizeObserver) {
-      this.resizeObserver.disconnect();
-      this.resizeObserver = null;
+    if (this.trackingPending) {
+      this.trackingPending = false;
+      this.startTracking();
     }
+  }
+
+  /**
+   * Revoke consent
+   * Tracking stops and everything collected so far is wiped: in-memory data,
+   * persisted engagement, the transport's unsent queue and the sampling bucket.
+   * Nothing is stored or sent on the way out. This is an opt-out also when
+   * `requireConsent` is off: `startTracking()` is blocked until `grantConsent()`.
+   */
+  revokeConsent() {
+    this.consentGranted = false;
+    this.consentRevoked = true;
+    this.trackingPending = false;
     
-    // Clear heatmap elements but don't remove the container if it's user-provided
-    if (this.heatmapContainer && !this.options.heatmapContainer) {
-      this.heatmapContainer.remove();
-      this.heatmapContainer = null;
-    } else if (this.heatmapContainer) {
-      this.heatmapContainer.innerHTML = '';
+    // Detach storage and transport first so stopping doesn't save or send anything
+    const { storage, transport, storageKey } = this;
+    this.storage = null;
+    this.transport = null;
+    this.stopTracking();
+    
+    if (transport) {
+      transport.stop();
+      transport.clear();
+      transport.removeAllListeners();
+    }
+    if (storage && storageKey) {
+      Promise.resolve(storage.remove(storageKey)).catch(error => {
+        this.emit('warning', { message: 'Failed to remove stored engagement data', error });
+      });
+    }
+    try {
+      window.localStorage.removeItem(SAMPLE_KEY);
+    } catch (error) {
+      // Nothing stored
     }
+    this.sampleBucket = null;
     
-    this.paragraphs = [];
-    this.engagementData = new WeakMap();
-    this.maxEngagement = 0;
+    this.wipeData();
+    this.emit('consentRevoked');
   }
 
   /**
-   * Validate container parameter
-   * @param {string|HTMLElement} container - Container selector or element
-   * @returns {HTMLElement} - Validated container element
+   * Reset all collected engagement data of the current session
    * @private
    */
-  validateContainer(container) {
-    let element;
+  wipeData() {
+    this.paragraphs.forEach(element => {
+      this.setEngagementRecord(element, this.createEngagementRecord(element));
+    });
+    this.articles.forEach(article => {
+      Object.assign(article, { inView: false, enteredAt: null, visits: 0, timeInView: 0 });
+    });
+    this.visibleBlocks.clear();
+    this.engagedBlocks.clear();
+    this.timeline = [];
+    this.timelineDropped = 0;
+    this.attention = { activeTime: 0, idleTime: 0, since: null };
+    this.maxEngagement = 0;
+    this.maxScrollBottom = 0;
+    this.milestonesReached = new Set();
     
-    if (typeof container === 'string') {
-      element = document.querySelector(container);
-      if (!element) {
-        throw new Error(`Container not found: ${container}`);
-      }
-    } else if (container instanceof HTMLElement) {
-      element = container;
-    } else {
-      throw new TypeError('Container must be a CSS selector or HTMLElement');
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
     }
-    
-    return element;
   }
 
   /**
-   * Find all paragraphs within container
-   * @param {HTMLElement} container - Container element
-   * @returns {HTMLElement[]} - Array of paragraph elements
+   * Resolve persistence options and create the storage adapter
    * @private
    */
-  getParagraphs(container) {
-    // Select paragraphs and add unique IDs if not present
-    const paragraphs = Array.from(container.querySelectorAll('p'));
+  setupPersistence() {
+    if (!this.options.persistence) return;
     
-    if (paragraphs.length === 0) {
-      this.emit('warning', { message: 'No paragraphs found in container' });
-    }
+    const persistence = { ...PERSISTENCE_DEFAULTS, ...this.options.persistence };
     
-    // Assign IDs for tracking
-    paragraphs.forEach((p, index) => {
-      if (!p.dataset.highlightId) {
-        p.dataset.highlightId = `p-${Date.now()}-${index}`;
-      }
+    this.options.persistence = persistence;
+    this.storage = createStorageAdapter(persistence.adapter, error => {
+      // Reported by the restore in init(), once listeners are attached
+      this.storageError = error;
     });
-    
-    return paragraphs;
   }
 
   /**
-   * Initialize engagement data for each paragraph
+   * Create the data transport
+   * Periodic flushes carry a snapshot of the current engagement data.
    * @private
    */
-  initializeEngagementData() {
-    this.paragraphs.forEach(p => {
-      this.engagementData.set(p, {
-        visibleRatio: 0,
-        timeSpent: 0,
-        weightedTime: 0,
-        lastUpdate: null,
-        inView: false
-      });
+  setupTransport() {
+    if (!this.options.transport) return;
+    
+    this.transport = new Transport({
+      ...this.options.transport,
+      collect: () => (this.isTracking ? {
+        type: 'snapshot',
+        timestamp: Date.now(),
+        data: this.exportData()
+      } : null)
     });
+    
+    this.transport.on('sent', event => this.emit('dataSent', event));
+    this.transport.on('failed', event => this.emit('warning', event));
+    this.transport.start();
   }
 
   /**
-   * Setup the heatmap container based on options
+   * Resolve navigation options and make history navigation observable
    * @private
    */
-  setupHeatmapContainer() {
-    if (this.options.heatmapContainer) {
-      const container = document.querySelector(this.options.heatmapContainer);
-      if (!container) {
-        throw new Error(`Heatmap container not found: ${this.options.heatmapContainer}`);
-      }
-      this.heatmapContainer = container;
-      this.heatmapContainer.style.position = 'relative';
-      this.heatmapContainer.innerHTML = '';
+  setupNavigation() {
+    if (!this.options.navigation) return;
+    
+    this.options.navigation = { ...NAVIGATION_DEFAULTS, ...this.options.navigation };
+    patchHistory();
+    this.historyPatched = true;
+  }
+
+  /**
+   * Send a final snapshot through the transport
+   * @param {Object} [options] - Flush options
+   * @param {boolean} [options.unloading=false] - The page is being hidden or unloaded
+   * @returns {Promise<boolean>} - True if the data was handed off
+   */
+  flush({ unloading = false } = {}) {
+    if (!this.transport) return Promise.resolve(false);
+    
+    // A tab close fires visibilitychange and pagehide, nothing accrues in between
+    if (this.isTracking && !(unloading && this.unloadFlushed)) {
+      this.transport.enqueue('snapshot', this.exportData());
     }
+    this.unloadFlushed = unloading;
+    return this.transport.flush({ unloading });
   }
 
   /**
-   * Set up IntersectionObserver and ResizeObserver
+   * Set up global event listeners
    * @private
    */
-  setupObservers() {
-    // Intersection Observer with dynamic thresholds
-    try {
-      this.observer = new IntersectionObserver(this.handleIntersection, {
-        root: null,
-        rootMargin: '0px',
-        threshold: this.calculateThresholds()
-      });
+  setupEventListeners() {
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleUnload = this.handleUnload.bind(this);
+    
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('beforeunload', this.handleUnload);
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('blur', this.handleBlur);
+    window.addEventListener('focus', this.handleActivity);
+    ACTIVITY_EVENTS.forEach(type => {
+      window.addEventListener(type, this.handleActivity, { passive: true });
+    });
+    document.addEventListener('selectionchange', this.handleSelectionChange);
+    document.addEventListener('copy', this.handleCopy);
+    document.addEventListener('click', this.handleShareClick);
+    
+    if (this.options.navigation) {
+      window.addEventListener(NAVIGATION_EVENT, this.handleNavigation);
+      window.addEventListener('popstate', this.handleNavigation);
+    }
+  }
 
-      // Resize Observer for responsive tracking
+  /**
+   * Check whether time should currently accrue
+   * @returns {boolean} - True while the tab is visible and the reader is not idle
+   */
+  isAttentive() {
+    return this.tabVisible && !this.isIdle;
+  }
+
+  /**
+   * Add elapsed tracking time to the active or idle total
+   * Must be called before any change to the attention state.
+   * @param {number} [now=performance.now()] - Current time
+   * @private
+   */
+  updateAttention(now = performance.now()) {
+    const { attention } = this;
+    
+    if (this.isTracking && attention.since !== null) {
+      const delta = now - attention.since;
+      if (this.isAttentive()) {
+        attention.activeTime += delta;
+      } else {
+        attention.idleTime += delta;
+      }
+    }
+    attention.since = now;
+  }
+
+  /**
+   * Tell the engine whether time currently accrues
+   * Must be called after any change to the tracking or attention state.
+   * @param {number} [now=performance.now()] - Current time
+   * @private
+   */
+  syncEngine(now = performance.now()) {
+    this.engine.setActive(this.isTracking && this.isAttentive(), now);
+  }
+
+  /**
+   * Restart the idle countdown
+   * @private
+   */
+  scheduleIdle() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    
+    if (this.isTracking && this.options.idleTimeout > 0) {
+      this.idleTimer = setTimeout(() => this.setIdle('timeout'), this.options.idleTimeout);
+    }
+  }
+
+  /**
+   * Mark the reader as idle and pause time accrual
+   * @param {string} reason - 'timeout' or 'blur'
+   * @private
+   */
+  setIdle(reason) {
+    if (this.isIdle) return;
+    
+    const now = performance.now();
+    this.updateAttention(now);
+    this.isIdle = true;
+    this.idleStart = now;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.syncEngine(now);
+    this.refreshEngagedStates(now);
+    
+    this.emit('idle', { reason });
+  }
+
+  /**
+   * Handle reader input
+   * @private
+   */
+  handleActivity = () => {
+    if (this.isIdle) {
+      const now = performance.now();
+      this.updateAttention(now);
+      this.isIdle = false;
+      this.syncEngine(now);
+      this.refreshEngagedStates(now);
+      
+      this.emit('active', { idleDuration: now - this.idleStart });
+      this.idleStart = null;
+    }
+    
+    this.scheduleIdle();
+  };
+
+  /**
+   * Handle the window losing focus
+   * @private
+   */
+  handleBlur = () => {
+    if (!this.options.pauseOnBlur || !this.isTracking) return;
+    
+    // Focus moving into an embedded iframe blurs the window while the reader stays on the page.
+    // Some browsers only update activeElement after the blur event.
+    clearTimeout(this.blurTimer);
+    this.blurTimer = setTimeout(() => {
+      this.blurTimer = null;
+      const active = document.activeElement;
+      if (this.isTracking && !(active && active.tagName === 'IFRAME')) {
+        this.setIdle('blur');
+      }
+    }, 0);
+  };
+
+  /**
+   * Handle visibility changes (tab focus/blur)
+   * @private
+   */
+  handleVisibilityChange = () => {
+    const now = performance.now();
+    this.updateAttention(now);
+    this.tabVisible = document.visibilityState === 'visible';
+    // Time while the tab is hidden isn't counted
+    this.syncEngine(now);
+    this.refreshEngagedStates(now);
+    
+    if (!this.tabVisible) {
+      this.checkpoint();
+      // Hidden is the last reliable moment to send on mobile browsers
+      this.flush({ unloading: true });
+    }
+    
+    if (this.tabVisible) {
+      this.unloadFlushed = false;
+      this.scheduleIdle();
+    }
+    
+    this.emit('visibilityChange', { visible: this.tabVisible });
+  };
+
+  /**
+   * Handle page hide (navigation away or bfcache)
+   * @private
+   */
+  handlePageHide = () => {
+    this.flush({ unloading: true });
+  };
+
+  /**
+   * Handle page unload
+   * @private
+   */
+  handleUnload = () => {
+    if (this.isTracking) {
+      try {
+        // Attempt to send final tracking data
+        const data = this.exportData();
+        this.checkpoint();
+        this.emit('unload', { data });
+      } catch (err) {
+        // Silent fail on unload
+      }
+    }
+  };
+
+  /**
+   * Handle single-page app navigation
+   * The previous page's session is finalized right away, while the URL change
+   * is fresh; the new session starts once the route had time to render.
+   * @private
+   */
+  handleNavigation = () => {
+    if (!this.session) return;
+    
+    const url = getPageUrl();
+    if (this.navigationTimer === null) {
+      // replaceState is often used for the same page (query state, scroll restoration)
+      if (url === this.session.url) return;
+      
+      this.pendingNavigation = {
+        previous: this.session,
+        tracking: this.isTracking,
+        heatmap: this.heatmapVisible && this.getHeatmapOptions()
+      };
+      this.endSession();
+    }
+    
+    // Navigating again before the route settled only restarts the wait
+    clearTimeout(this.navigationTimer);
+    this.navigationTimer = setTimeout(this.startNavigationSession, this.options.navigation.settleDelay);
+  };
+
+  /**
+   * Finalize the current page's session
+   * Saves a checkpoint, flushes a final snapshot through the transport and
+   * emits it as `sessionEnd`.
+   * @private
+   */
+  endSession() {
+    const session = this.session;
+    const data = this.exportData();
+    
+    this.stopTracking();
+    this.hideHeatmap();
+    
+    if (this.transport) {
+      this.transport.enqueue('snapshot', data);
+      this.transport.flush();
+    }
+    
+    this.emit('sessionEnd', { session, data });
+  }
+
+  /**
+   * Re-initialize on the new route's content
+   * @private
+   */
+  startNavigationSession = () => {
+    const { previous, tracking, heatmap } = this.pendingNavigation;
+    const container = this.options.navigation.container || this.initTarget;
+    this.navigationTimer = null;
+    this.pendingNavigation = null;
+    
+    if (container instanceof HTMLElement && !container.isConnected) {
+      this.emit('warning', {
+        message: 'Container was removed by navigation, set navigation.container to a selector'
+      });
+    }
+    
+    try {
+      this.init(container);
+    } catch (error) {
+      // Reported through the 'error' event by init()
+      return;
+    }
+    
+    if (tracking) {
+      this.startTracking();
+    }
+    if (heatmap) {
+      this.createHeatmap(heatmap);
+    }
+    
+    this.emit('routeChange', {
+      from: previous.url,
+      to: this.session.url,
+      previousSessionId: previous.id,
+      sessionId: this.session.id
+    });
+  };
+
+  /**
+   * Initialize tracking on a container element
+   * Every call starts a new session tagged with the current URL.
+   * @param {string|HTMLElement} container - Container selector or element
+   */
+  init(container) {
+    try {
+      this.cleanupPrevious();
+      const containerElement = this.validateContainer(container);
+      this.initTarget = container;
+      this.container = containerElement;
+      this.session = {
+        id: createSessionId(),
+        url: getPageUrl(),
+        startedAt: Date.now()
+      };
+      if (this.options.persistence) {
+        this.storageKey = this.options.persistence.key || `highlight-tracker:${window.location.pathname}`;
+      }
+      this.scrollRoot = this.resolveScrollRoot();
+      this.paragraphs = this.getParagraphs(containerElement);
+      this.initializeEngagementData();
+      this.discoverArticles(containerElement);
+      this.setupObservers();
+      this.setupHeatmapContainer();
+      this.restorePromise = this.restoreEngagement();
+      this.emit('ready', { paragraphCount: this.paragraphs.length });
+    } catch (error) {
+      this.emit('error', { message: 'Initialization failed', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up previous tracking session
+   * @private
+   */
+  cleanupPrevious() {
+    if (this.isTracking) {
+      this.stopTracking();
+    }
+    
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    
+    this.unwatchFrames();
+    this.searchRoots = [];
+    this.removeScrollListeners();
+    this.visibleBlocks.clear();
+    this.engagedBlocks.clear();
+    this.timeline = [];
+    this.timelineDropped = 0;
+    this.attention = { activeTime: 0, idleTime: 0, since: null };
+    this.maxScrollBottom = 0;
+    this.milestonesReached = new Set();
+    
+    // Tints and badges belong to the previous container's blocks
+    if (this.heatmapUpdateRequest) {
+      cancelAnimationFrame(this.heatmapUpdateRequest);
+      this.heatmapUpdateRequest = null;
+    }
+    this.clearOverlay();
+    this.removeHeatmapScrollListener();
+    this.heatmapVisible = false;
+    
+    // Clear heatmap elements but don't remove the container if it's user-provided
+    if (this.heatmapContainer && !this.options.heatmapContainer) {
+      this.heatmapContainer.remove();
+      this.heatmapContainer = null;
+    } else if (this.heatmapContainer) {
+      this.heatmapContainer.innerHTML = '';
+    }
+    
+    this.paragraphs = [];
+    this.engagementData = new WeakMap();
+    this.engine.clear();
+    this.assignedIds = new Map();
+    this.articles = new Map();
+    this.articleCount = 0;
+    this.maxEngagement = 0;
+    this.restoreComplete = false;
+    this.imported = false;
+    this.invalidateGeometry();
+  }
+
+  /**
+   * Validate container parameter
+   * @param {string|HTMLElement} container - Container selector or element
+   * @returns {HTMLElement} - Validated container element
+   * @private
+   */
+  validateContainer(container) {
+    let element;
+    
+    if (typeof container === 'string') {
+      element = document.querySelector(container);
+      if (!element) {
+        throw new Error(`Container not found: ${container}`);
+      }
+    } else if (container instanceof HTMLElement) {
+      element = container;
+    } else {
+      throw new TypeError('Container must be a CSS selector or HTMLElement');
+    }
+    
+    return element;
+  }
+
+  /**
+   * Resolve the scrollRoot option to an element
+   * @returns {HTMLElement|null} - Scroll root, or null for the page viewport
+   * @private
+   */
+  resolveScrollRoot() {
+    const { scrollRoot } = this.options;
+    if (!scrollRoot) return null;
+    
+    const element = typeof scrollRoot === 'string'
+      ? document.querySelector(scrollRoot)
+      : scrollRoot;
+    
+    if (!element || element.nodeType !== 1) {
+      throw new Error(`Scroll root not found: ${scrollRoot}`);
+    }
+    return element;
+  }
+
+  /**
+   * Get the object that emits scroll events for the tracked content
+   * @returns {HTMLElement|Window} - Scroll root or window
+   * @private
+   */
+  getScrollTarget() {
+    return this.scrollRoot || window;
+  }
+
+  /**
+   * Read scroll position and size of the scroll root
+   * @returns {Object} - `{ scrollTop, viewportHeight, scrollHeight }` in pixels
+   */
+  getScrollMetrics() {
+    const root = this.scrollRoot;
+    
+    if (root) {
+      return {
+        scrollTop: root.scrollTop,
+        viewportHeight: root.clientHeight,
+        scrollHeight: root.scrollHeight || 1
+      };
+    }
+    
+    return {
+      scrollTop: window.scrollY,
+      viewportHeight: window.innerHeight,
+      scrollHeight: document.documentElement.scrollHeight || 1
+    };
+  }
+
+  /**
+   * Scroll the scroll root to an offset
+   * @param {number} top - Offset from the top of the scrollable content
+   * @param {string} [behavior='smooth'] - Scroll behavior
+   * @private
+   */
+  scrollToOffset(top, behavior = 'smooth') {
+    this.getScrollTarget().scrollTo({ top, behavior });
+  }
+
+  /**
+   * Find all trackable blocks within container
+   * @param {HTMLElement} container - Container element
+   * @returns {HTMLElement[]} - Array of block elements
+   * @private
+   */
+  getParagraphs(container) {
+    // Select blocks and add unique IDs if not present
+    this.searchRoots = this.collectSearchRoots(container);
+    const paragraphs = this.searchRoots.flatMap(root => this.queryBlocks(root));
+    
+    if (paragraphs.length === 0) {
+      this.emit('warning', { message: 'No trackable blocks found in container' });
+    }
+    
+    // Author-supplied IDs are claimed first so generated IDs never shadow them,
+    // the first block in document order owns a duplicated one
+    paragraphs.forEach(p => {
+      const { highlightId } = p.dataset;
+      if (highlightId && !('highlightAuto' in p.dataset) && !this.assignedIds.has(highlightId)) {
+        this.assignedIds.set(highlightId, p);
+      }
+    });
+    
+    // Assign IDs for tracking in document order
+    paragraphs.forEach(p => this.assignBlockId(p));
+    
+    return paragraphs;
+  }
+
+  /**
+   * Find trackable blocks directly inside a root (not crossing shadow or frame boundaries)
+   * @param {Element|ShadowRoot} root - Root to search
+   * @returns {HTMLElement[]} - Matching blocks in document order
+   * @private
+   */
+  queryBlocks(root) {
+    const { selector } = this.options;
+    return typeof selector === 'function'
+      ? Array.from(root.querySelectorAll('*')).filter(el => this.isTrackable(el))
+      : Array.from(root.querySelectorAll(selector));
+  }
+
+  /**
+   * Collect the roots blocks are searched in
+   * Starting from the container, walks into open shadow roots and same-origin
+   * iframes when the `shadowDom` and `iframes` options allow it.
+   * @param {Element} container - Starting element
+   * @returns {Array<Element|ShadowRoot>} - Container followed by nested roots
+   * @private
+   */
+  collectSearchRoots(container) {
+    const { shadowDom, iframes } = this.options;
+    const roots = [];
+    
+    const walk = (root) => {
+      roots.push(root);
+      if (!shadowDom && !iframes) return;
+      
+      const hosts = root.nodeType === 1 ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
+      hosts.forEach(element => {
+        if (shadowDom && element.shadowRoot) {
+          walk(element.shadowRoot);
+        }
+        if (iframes && element.tagName === 'IFRAME') {
+          this.watchFrame(element);
+          const frameDocument = this.getFrameDocument(element);
+          if (frameDocument && frameDocument.body) {
+            this.frameRoots.set(element, frameDocument.body);
+            this.listenToFrame(frameDocument);
+            walk(frameDocument.body);
+          }
+        }
+      });
+    };
+    
+    walk(container);
+    return roots;
+  }
+
+  /**
+   * Get the document of a same-origin iframe
+   * @param {HTMLIFrameElement} frame - Iframe element
+   * @returns {Document|null} - Frame document, or null for cross-origin frames
+   * @private
+   */
+  getFrameDocument(frame) {
+    try {
+      return frame.contentDocument || null;
+    } catch (error) {
+      // Cross-origin frames throw in some browsers instead of returning null
+      return null;
+    }
+  }
+
+  /**
+   * Rescan an iframe whenever it (re)loads
+   * @param {HTMLIFrameElement} frame - Iframe element
+   * @private
+   */
+  watchFrame(frame) {
+    if (this.frames.has(frame)) return;
+    
+    this.frames.add(frame);
+    frame.addEventListener('load', this.handleFrameLoad);
+  }
+
+  /**
+   * Listen for reader activity and interactions inside a same-origin frame
+   * Events in a frame don't reach the page's window and document.
+   * @param {Document} frameDocument - Frame document
+   * @private
+   */
+  listenToFrame(frameDocument) {
+    if (this.frameDocuments.has(frameDocument)) return;
+    
+    this.frameDocuments.add(frameDocument);
+    ACTIVITY_EVENTS.forEach(type => {
+      frameDocument.addEventListener(type, this.handleActivity, { passive: true });
+    });
+    frameDocument.addEventListener('selectionchange', this.handleSelectionChange);
+    frameDocument.addEventListener('copy', this.handleCopy);
+  }
+
+  /**
+   * Stop listening to a frame document
+   * @param {Document} frameDocument - Frame document
+   * @private
+   */
+  unlistenToFrame(frameDocument) {
+    if (!this.frameDocuments.delete(frameDocument)) return;
+    
+    ACTIVITY_EVENTS.forEach(type => {
+      frameDocument.removeEventListener(type, this.handleActivity);
+    });
+    frameDocument.removeEventListener('selectionchange', this.handleSelectionChange);
+    frameDocument.removeEventListener('copy', this.handleCopy);
+  }
+
+  /**
+   * Handle an iframe loading new content
+   * The new document replaces the previous one as a search root, with its own
+   * mutation observation and activity listeners.
+   * @param {Event} event - Load event
+   * @private
+   */
+  handleFrameLoad = (event) => {
+    const frame = event.target;
+    const frameDocument = this.getFrameDocument(frame);
+    const previous = this.frameRoots.get(frame);
+    
+    // The previous frame document and its blocks are gone
+    if (previous && (!frameDocument || previous !== frameDocument.body)) {
+      this.frameRoots.delete(frame);
+      this.unlistenToFrame(previous.ownerDocument);
+      this.searchRoots = this.searchRoots.filter(root => root !== previous);
+      this.paragraphs
+        .filter(block => previous.contains(block))
+        .forEach(block => this.untrackBlock(block));
+    }
+    this.removeDetachedBlocks();
+    
+    if (frameDocument && frameDocument.body) {
+      const body = frameDocument.body;
+      if (!this.searchRoots.includes(body)) {
+        this.searchRoots.push(body);
+        this.observeMutations(body);
+      }
+      this.frameRoots.set(frame, body);
+      this.listenToFrame(frameDocument);
+      this.discoverBlocks(body);
+    }
+    
+    this.invalidateGeometry();
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+  };
+
+  /**
+   * Stop listening to iframe loads and to events inside frames
+   * @private
+   */
+  unwatchFrames() {
+    this.frames.forEach(frame => frame.removeEventListener('load', this.handleFrameLoad));
+    this.frames.clear();
+    this.frameRoots.clear();
+    this.frameDocuments.forEach(frameDocument => this.unlistenToFrame(frameDocument));
+  }
+
+  /**
+   * Start tracking a block discovered after init
+   * @param {HTMLElement} element - Block element
+   * @private
+   */
+  trackBlock(element) {
+    if (this.engagementData.has(element)) return;
+    
+    const id = this.assignBlockId(element);
+    this.paragraphs.push(element);
+    this.setEngagementRecord(
+      element,
+      this.createEngagementRecord(element, this.isTracking ? performance.now() : null)
+    );
+    if (this.observer) {
+      this.observer.observe(element);
+    }
+    if (id !== this.baseIds.get(element) && 'highlightAuto' in element.dataset) {
+      this.renumberCollisions(this.baseIds.get(element), element);
+    }
+    
+    this.emit('blockAdded', {
+      id: element.dataset.highlightId,
+      kind: this.engagementData.get(element).kind,
+      element
+    });
+  }
+
+  /**
+   * Stop tracking a block
+   * @param {HTMLElement} element - Block element
+   * @param {string} [reason='removed'] - 'removed' or 'textChanged'
+   * @private
+   */
+  untrackBlock(element, reason = 'removed') {
+    const index = this.paragraphs.indexOf(element);
+    if (index === -1) return;
+    
+    const id = element.dataset.highlightId;
+    this.paragraphs.splice(index, 1);
+    this.closeInterval(element);
+    this.engagementData.delete(element);
+    this.engine.removeBlock(id);
+    this.assignedIds.delete(id);
+    if (this.observer) {
+      this.observer.unobserve(element);
+    }
+    
+    this.emit('blockRemoved', { id, reason, element });
+    
+    // Identical blocks after it move up, as they would on the next page load
+    if ('highlightAuto' in element.dataset && this.baseIds.has(element)) {
+      this.renumberCollisions(this.baseIds.get(element));
+    }
+  }
+
+  /**
+   * Register an article container
+   * Blocks inside it are attributed to the article in exports, the heatmap
+   * shows it as a section, and `articleEnter`/`articleExit` report when the
+   * reader enters or leaves it. Articles must be inside the tracked container.
+   * @param {string|HTMLElement} container - Article selector or element
+   * @param {Object} [options] - Article options
+   * @param {string} [options.id] - Article ID, defaults to `data-article-id`, the element ID
+   *   or a generated `article-<n>`
+   * @returns {string} - The article ID
+   */
+  addArticle(container, { id } = {}) {
+    if (!this.container) {
+      throw new Error('init() must be called before adding articles');
+    }
+    
+    const element = this.validateContainer(container);
+    if (!this.isInContainer(element)) {
+      throw new Error('Article must be inside the tracked container');
+    }
+    
+    const existing = this.articles.get(element);
+    if (existing) return existing.id;
+    
+    const usedIds = new Set([...this.articles.values()].map(article => article.id));
+    const baseId = id || element.dataset.articleId || element.id || `article-${++this.articleCount}`;
+    const article = {
+      id: resolveCollision(baseId, usedIds),
+      element,
+      inView: false,
+      enteredAt: null,
+      visits: 0,
+      timeInView: 0
+    };
+    
+    this.articles.set(element, article);
+    this.invalidateGeometry();
+    this.updateArticleStates();
+    
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+    
+    return article.id;
+  }
+
+  /**
+   * Unregister an article container
+   * Its blocks stay tracked, they are just no longer attributed to it.
+   * @param {string|HTMLElement} article - Article ID or element
+   */
+  removeArticle(article) {
+    const entry = [...this.articles.values()].find(
+      ({ id, element }) => id === article || element === article
+    );
+    if (!entry) return;
+    
+    this.exitArticle(entry, performance.now());
+    this.articles.delete(entry.element);
+    this.invalidateGeometry();
+  }
+
+  /**
+   * Register every element matching `articleSelector` in a subtree
+   * Elements that already left the container are skipped: a subtree can be
+   * added and removed again within one mutation batch.
+   * @param {Element} root - Root of the subtree
+   * @private
+   */
+  discoverArticles(root) {
+    const { articleSelector } = this.options;
+    if (!articleSelector || root.nodeType !== 1) return;
+    
+    const matches = Array.from(root.querySelectorAll(articleSelector));
+    if (root !== this.container && root.matches(articleSelector)) {
+      matches.unshift(root);
+    }
+    matches
+      .filter(element => element.isConnected && this.isInContainer(element))
+      .forEach(element => this.addArticle(element));
+  }
+
+  /**
+   * Find the article a block belongs to
+   * @param {Node} node - Tracked block
+   * @returns {Object|null} - Innermost registered article containing the block
+   * @private
+   */
+  getArticle(node) {
+    if (this.articles.size === 0) return null;
+    
+    let current = node;
+    while (current) {
+      const article = this.articles.get(current);
+      if (article) return article;
+      current = current.parentNode || current.host || null;
+    }
+    return null;
+  }
+
+  /**
+   * Update which articles the reader is in
+   * An article is entered when one of its blocks comes into view and left
+   * when none of them is in view anymore.
+   * @param {number} [now=performance.now()] - Current time
+   * @private
+   */
+  updateArticleStates(now = performance.now()) {
+    if (this.articles.size === 0) return;
+    
+    const visible = new Set();
+    this.visibleBlocks.forEach(element => {
+      const article = this.getArticle(element);
+      if (article) {
+        visible.add(article);
+      }
+    });
+    
+    this.articles.forEach(article => {
+      if (visible.has(article) && !article.inView) {
+        article.inView = true;
+        article.enteredAt = now;
+        article.visits++;
+        this.emit('articleEnter', { id: article.id, element: article.element, visits: article.visits });
+      } else if (!visible.has(article)) {
+        this.exitArticle(article, now);
+      }
+    });
+  }
+
+  /**
+   * Mark an article as left
+   * @param {Object} article - Registered article
+   * @param {number} now - Current time
+   * @private
+   */
+  exitArticle(article, now) {
+    if (!article.inView) return;
+    
+    const duration = now - article.enteredAt;
+    article.inView = false;
+    article.enteredAt = null;
+    article.timeInView += duration;
+    this.emit('articleExit', { id: article.id, element: article.element, duration: Math.round(duration) });
+  }
+
+  /**
+   * Summarize engagement per article
+   * @param {Object} blocks - Exported block records keyed by block ID
+   * @param {number} now - Current time
+   * @param {string|null} [only=null] - Only summarize this article
+   * @returns {Object} - Per-article `{ blocks, rawTime, visits, timeInView, progress }` keyed by article ID
+   * @private
+   */
+  exportArticles(blocks, now, only = null) {
+    const articles = {};
+    
+    this.articles.forEach(article => {
+      if (only !== null && article.id !== only) return;
+      
+      articles[article.id] = {
+        blocks: [],
+        rawTime: 0,
+        visits: article.visits,
+        timeInView: Math.round(article.timeInView + (article.inView ? now - article.enteredAt : 0)),
+        progress: this.getProgress({ article: article.id })
+      };
+    });
+    
+    Object.entries(blocks).forEach(([id, block]) => {
+      const summary = articles[block.article];
+      if (summary) {
+        summary.blocks.push(id);
+        summary.rawTime += block.rawTime;
+      }
+    });
+    
+    return articles;
+  }
+
+  /**
+   * Get an element's rect in top-level viewport coordinates
+   * Rects of elements inside iframes are relative to the frame's viewport, so
+   * every enclosing frame's offset is added.
+   * @param {Element} element - Element to measure
+   * @returns {Object} - `{ top, left, width, height }`
+   * @private
+   */
+  getElementRect(element) {
+    const rect = element.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+    
+    let view = element.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      top += frameRect.top + frame.clientTop;
+      left += frameRect.left + frame.clientLeft;
+      view = frame.ownerDocument.defaultView;
+    }
+    
+    return { top, left, width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Assign a stable, content-derived ID to a block
+   * Elements carrying an author-supplied `data-highlight-id` keep it, unless
+   * another tracked block already uses it: the duplicate gets `-2`, `-3`, ...
+   * appended like generated IDs, and a `warning` is emitted. Generated IDs are
+   * marked with `data-highlight-auto` so they are recomputed on re-init.
+   * @param {HTMLElement} element - Block element
+   * @returns {string} - Assigned block ID
+   * @private
+   */
+  assignBlockId(element) {
+    const { dataset } = element;
+    
+    if (dataset.highlightId && !('highlightAuto' in dataset)) {
+      const authorId = dataset.highlightId;
+      const owner = this.assignedIds.get(authorId);
+      if (owner && owner !== element) {
+        // Blocks are keyed by ID, a shared one would merge their engagement
+        dataset.highlightId = resolveCollision(authorId, this.assignedIds);
+        this.emit('warning', {
+          message: `Duplicate data-highlight-id "${authorId}", tracking the block as "${dataset.highlightId}"`,
+          element
+        });
+      }
+      this.assignedIds.set(dataset.highlightId, element);
+      return dataset.highlightId;
+    }
+    
+    const baseId = createBlockId(element, {
+      strategy: this.options.idStrategy,
+      root: this.container
+    });
+    const id = resolveCollision(baseId, this.assignedIds);
+    
+    this.baseIds.set(element, baseId);
+    this.assignedIds.set(id, element);
+    dataset.highlightId = id;
+    dataset.highlightAuto = '';
+    return id;
+  }
+
+  /**
+   * Renumber the generated IDs of identical blocks in document order
+   * Blocks found after init take the next free suffix, which depends on the
+   * order content loaded in. Renumbering gives every block of the group the
+   * ID a fresh page load would, keeping IDs stable across sessions. Accrued
+   * data and recorded intervals follow their block.
+   * @param {string} baseId - Base ID shared by the group
+   * @param {HTMLElement} [added] - Block being added, not reported as changed
+   * @private
+   */
+  renumberCollisions(baseId, added = null) {
+    const group = this.paragraphs
+      .filter(p => 'highlightAuto' in p.dataset && this.baseIds.get(p) === baseId)
+      .sort(compareDocumentOrder);
+    
+    group.forEach(p => this.assignedIds.delete(p.dataset.highlightId));
+    const renamed = group
+      .map(element => {
+        const id = resolveCollision(baseId, this.assignedIds);
+        this.assignedIds.set(id, element);
+        return { element, previousId: element.dataset.highlightId, id };
+      })
+      .filter(({ previousId, id }) => previousId !== id);
+    if (renamed.length === 0) return;
+    
+    // IDs may swap within the group, so every old key goes before any new one is set
+    renamed.forEach(({ previousId }) => this.engine.removeBlock(previousId));
+    renamed.forEach(({ element, id }) => {
+      element.dataset.highlightId = id;
+      this.engine.addBlock(id, this.engagementData.get(element));
+    });
+    
+    const ids = new Map(renamed.map(({ previousId, id }) => [previousId, id]));
+    this.timeline.forEach(interval => {
+      if (ids.has(interval.blockId)) {
+        interval.blockId = ids.get(interval.blockId);
+      }
+    });
+    this.invalidateGeometry();
+    
+    renamed
+      .filter(({ element }) => element !== added)
+      .forEach(({ element, previousId, id }) => this.emit('blockIdChanged', { previousId, id, element }));
+  }
+
+  /**
+   * Check whether a node should be tracked according to the selector option
+   * @param {Node} node - Candidate node
+   * @returns {boolean} - True if the node is a trackable block
+   * @private
+   */
+  isTrackable(node) {
+    if (!node || node.nodeType !== 1) return false;
+    
+    const { selector } = this.options;
+    try {
+      return typeof selector === 'function'
+        ? Boolean(selector(node))
+        : node.matches(selector);
+    } catch (error) {
+      this.emit('error', { message: 'Selector evaluation failed', element: node, error });
+      return false;
+    }
+  }
+
+  /**
+   * Determine the block kind of an element
+   * Authors can override the detected kind with a `data-highlight-kind` attribute.
+   * @param {HTMLElement} element - Tracked element
+   * @returns {string} - Block kind (e.g. 'paragraph', 'heading', 'listItem')
+   * @private
+   */
+  getElementKind(element) {
+    if (element.dataset && element.dataset.highlightKind) {
+      return element.dataset.highlightKind;
+    }
+    
+    const tagName = element.tagName.toUpperCase();
+    if (/^H[1-6]$/.test(tagName)) return 'heading';
+    return ELEMENT_KINDS[tagName] || tagName.toLowerCase();
+  }
+
+  /**
+   * Create a fresh engagement record for an element
+   * @param {HTMLElement} element - Tracked element
+   * @param {number|null} [lastUpdate=null] - Initial update timestamp
+   * @returns {Object} - Engagement record
+   * @private
+   */
+  createEngagementRecord(element, lastUpdate = null) {
+    return {
+      kind: this.getElementKind(element),
+      wordCount: countWords(element.textContent),
+      visibleRatio: 0,
+      maxRatio: 0,
+      timeSpent: 0,
+      weightedTime: 0,
+      scrollDistance: 0,
+      selections: 0,
+      copies: 0,
+      shares: 0,
+      ranges: [],
+      interval: null,
+      highlighted: false,
+      lastUpdate,
+      inView: false
+    };
+  }
+
+  /**
+   * Initialize engagement data for each paragraph
+   * @private
+   */
+  initializeEngagementData() {
+    this.paragraphs.forEach(p => {
+      this.setEngagementRecord(p, this.createEngagementRecord(p));
+    });
+  }
+
+  /**
+   * Store a block's engagement record and let the engine accrue time on it
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} record - Engagement record
+   * @private
+   */
+  setEngagementRecord(element, record) {
+    this.engagementData.set(element, record);
+    this.engine.addBlock(element.dataset.highlightId, record);
+  }
+
+  /**
+   * Setup the heatmap container based on options
+   * @private
+   */
+  setupHeatmapContainer() {
+    if (this.options.heatmapContainer) {
+      const container = document.querySelector(this.options.heatmapContainer);
+      if (!container) {
+        throw new Error(`Heatmap container not found: ${this.options.heatmapContainer}`);
+      }
+      this.heatmapContainer = container;
+      this.heatmapContainer.style.position = 'relative';
+      this.heatmapContainer.innerHTML = '';
+    }
+  }
+
+  /**
+   * Set up IntersectionObserver and ResizeObserver
+   * @private
+   */
+  setupObservers() {
+    // Intersection Observer with dynamic thresholds
+    try {
+      this.observer = new IntersectionObserver(this.handleIntersection, {
+        root: this.scrollRoot,
+        rootMargin: '0px',
+        threshold: this.calculateThresholds()
+      });
+
+      // Resize Observer for responsive tracking
       this.resizeObserver = new ResizeObserver(this.handleResize);
       this.resizeObserver.observe(document.documentElement);
+      if (this.scrollRoot) {
+        this.resizeObserver.observe(this.scrollRoot);
+      }
+
+      // Add Mutation Observer for DOM changes inside the container, its shadow roots and frames
+      this.mutationObserver = new MutationObserver(this.handleDOMChanges);
+      this.searchRoots.forEach(root => this.observeMutations(root));
+
+      this.lastScrollY = this.getScrollMetrics().scrollTop;
+      this.scrollTarget = this.getScrollTarget();
+      this.scrollTarget.addEventListener('scroll', this.handleScroll, { passive: true });
+      if (this.scrollRoot) {
+        // Scroll events don't bubble, so window activity listeners miss them
+        this.scrollRoot.addEventListener('scroll', this.handleActivity, { passive: true });
+      }
+
+      this.paragraphs.forEach(p => {
+        try {
+          this.observer.observe(p);
+        } catch (error) {
+          this.emit('error', { element: p, error });
+        }
+      });
+    } catch (error) {
+      this.emit('error', { message: 'Failed to create observers', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Observe a root for added and removed nodes
+   * @param {Node} root - Container, shadow root or frame body
+   * @private
+   */
+  observeMutations(root) {
+    if (this.mutationObserver) {
+      this.mutationObserver.observe(root, {
+        childList: true,
+        characterData: true,
+        subtree: true
+      });
+    }
+  }
+
+  /**
+   * Check whether a node belongs to the tracker's own UI
+   * Rendering the heatmap must not be mistaken for content changes.
+   * @param {Node} node - Node to check
+   * @returns {boolean} - True for heatmap and overlay nodes
+   * @private
+   */
+  isOwnNode(node) {
+    return [this.heatmapContainer, this.overlayLayer].some(
+      own => own && (own === node || own.contains(node))
+    );
+  }
+
+  /**
+   * Calculate thresholds for IntersectionObserver
+   * @returns {number[]} - Array of threshold values
+   * @private
+   */
+  calculateThresholds() {
+    // Create 10 threshold points from 0 to 1
+    const thresholds = [];
+    for (let i = 0; i <= 10; i++) {
+      thresholds.push(i / 10);
+    }
+    return thresholds;
+  }
+
+  /**
+   * Handle intersection events
+   * @param {IntersectionObserverEntry[]} entries - Intersection entries
+   * @private
+   */
+  handleIntersection = (entries) => {
+    if (!this.tabVisible) return;
+    
+    const now = performance.now();
+    
+    entries.forEach(entry => {
+      const data = this.engagementData.get(entry.target);
+      if (!data) return;
+      
+      // Time up to now accrues at the previous ratio, then the exact new ratio is kept
+      this.engine.sample(entry.target.dataset.highlightId, entry.intersectionRatio, now);
+      this.handleAccrued(entry.target, data);
+      data.inView = entry.isIntersecting;
+      
+      if (data.inView) {
+        this.visibleBlocks.add(entry.target);
+      } else {
+        this.visibleBlocks.delete(entry.target);
+      }
+      
+      this.updateEngagedState(entry.target, data, now);
+    });
+    
+    this.updateArticleStates(now);
+  };
+
+  /**
+   * Open or close a block's visibility interval
+   * A block is engaged while it is at least `visibilityThreshold` visible, tracking
+   * is on and the reader is attentive.
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @param {number} now - Current time
+   * @private
+   */
+  updateEngagedState(element, data, now) {
+    const engaged = this.isTracking &&
+      this.isAttentive() &&
+      data.inView &&
+      data.visibleRatio >= this.options.visibilityThreshold;
+    
+    if (engaged && !data.interval) {
+      data.interval = {
+        enter: now,
+        maxRatio: data.visibleRatio,
+        direction: this.scrollDirection
+      };
+      this.engagedBlocks.add(element);
+      this.emit('blockEnter', {
+        id: element.dataset.highlightId,
+        element,
+        ratio: data.visibleRatio,
+        direction: this.scrollDirection
+      });
+    } else if (engaged) {
+      data.interval.maxRatio = Math.max(data.interval.maxRatio, data.visibleRatio);
+    } else if (data.interval) {
+      const interval = data.interval;
+      data.interval = null;
+      this.engagedBlocks.delete(element);
+      this.recordInterval(element, interval, now);
+      this.emitBlockExit(element, data, interval, now);
+    }
+  }
+
+  /**
+   * Report the end of a visit to a block
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @param {Object} interval - The visit's interval
+   * @param {number} now - Exit time
+   * @private
+   */
+  emitBlockExit(element, data, interval, now) {
+    this.emit('blockExit', {
+      id: element.dataset.highlightId,
+      element,
+      dwell: Math.round(now - interval.enter),
+      totalTime: Math.round(data.timeSpent),
+      maxRatio: interval.maxRatio
+    });
+  }
+
+  /**
+   * Follow up on time accrued by the engine
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @private
+   */
+  handleAccrued(element, data) {
+    // Update max engagement for scaling
+    if (data.timeSpent > this.maxEngagement) {
+      this.maxEngagement = data.timeSpent;
+    }
+    this.checkHighlight(element, data);
+  }
+
+  /**
+   * Emit `highlight` the first time a block's dwell time crosses the threshold
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @private
+   */
+  checkHighlight(element, data) {
+    const { highlightThreshold } = this.options;
+    if (data.highlighted || highlightThreshold === 0 || data.timeSpent < highlightThreshold) return;
+    
+    data.highlighted = true;
+    this.emit('highlight', {
+      id: element.dataset.highlightId,
+      element,
+      kind: data.kind,
+      timeSpent: Math.round(data.timeSpent)
+    });
+  }
+
+  /**
+   * Emit a `tick` with live totals, at most once per `tickInterval`
+   * @param {number} now - Current time
+   * @private
+   */
+  emitTick(now) {
+    const { tickInterval } = this.options;
+    if (tickInterval === 0 || now - this.lastTickTime < tickInterval) return;
+    
+    this.lastTickTime = now;
+    // Building the payload walks every block, skip it when nobody listens
+    if (this.listenerCount('tick') === 0) return;
+    
+    this.updateAttention(now);
+    const totalTime = this.paragraphs.reduce((sum, element) => {
+      const data = this.engagementData.get(element);
+      return sum + (data ? data.timeSpent : 0);
+    }, 0);
+    
+    this.emit('tick', {
+      activeTime: Math.round(this.attention.activeTime),
+      idleTime: Math.round(this.attention.idleTime),
+      totalTime: Math.round(totalTime),
+      maxEngagement: Math.round(this.maxEngagement),
+      engaged: [...this.engagedBlocks].map(element => element.dataset.highlightId)
+    });
+  }
+
+  /**
+   * Re-evaluate every block that is or could be engaged
+   * Called when tracking, visibility or attention changes.
+   * @param {number} [now=performance.now()] - Current time
+   * @private
+   */
+  refreshEngagedStates(now = performance.now()) {
+    new Set([...this.engagedBlocks, ...this.visibleBlocks]).forEach(element => {
+      const data = this.engagementData.get(element);
+      if (data) {
+        this.updateEngagedState(element, data, now);
+      }
+    });
+  }
+
+  /**
+   * Append a closed interval to the timeline
+   * @param {HTMLElement} element - Tracked block
+   * @param {Object} interval - Open interval
+   * @param {number} now - Exit time
+   * @private
+   */
+  recordInterval(element, interval, now) {
+    const { enabled, maxEvents } = this.options.timeline;
+    if (!enabled) return;
+    
+    this.timeline.push(this.formatInterval(element.dataset.highlightId, interval, now));
+    
+    if (this.timeline.length > maxEvents) {
+      const overflow = this.timeline.length - maxEvents;
+      this.timeline.splice(0, overflow);
+      this.timelineDropped += overflow;
+    }
+  }
+
+  /**
+   * Convert an interval to its exported form
+   * @param {string} blockId - Block ID
+   * @param {Object} interval - Interval with `enter`, `maxRatio` and `direction`
+   * @param {number} exit - Exit time
+   * @returns {Object} - Interval with epoch timestamps in ms
+   * @private
+   */
+  formatInterval(blockId, interval, exit) {
+    return {
+      blockId,
+      enter: Math.round(this.timeOrigin + interval.enter),
+      exit: Math.round(this.timeOrigin + exit),
+      duration: Math.round(exit - interval.enter),
+      maxRatio: interval.maxRatio,
+      direction: interval.direction
+    };
+  }
+
+  /**
+   * Close a block's open interval, e.g. before it stops being tracked
+   * @param {HTMLElement} element - Tracked block
+   * @private
+   */
+  closeInterval(element) {
+    const data = this.engagementData.get(element);
+    if (data && data.interval) {
+      const now = performance.now();
+      const interval = data.interval;
+      data.interval = null;
+      this.recordInterval(element, interval, now);
+      this.emitBlockExit(element, data, interval, now);
+    }
+    this.engagedBlocks.delete(element);
+    this.visibleBlocks.delete(element);
+  }
+
+  /**
+   * Get the recorded reading-path timeline
+   * Intervals still open are included, ending now.
+   * @returns {Object} - `{ intervals, path, dropped }`: intervals ordered by entry, the sequence of
+   *   block IDs the reader moved through, and how many old intervals were dropped by the cap
+   */
+  getTimeline() {
+    const now = performance.now();
+    const open = [...this.engagedBlocks]
+      .map(element => {
+        const data = this.engagementData.get(element);
+        return data && data.interval
+          ? this.formatInterval(element.dataset.highlightId, data.interval, now)
+          : null;
+      })
+      .filter(Boolean);
+    
+    const intervals = [...this.timeline, ...open].sort((a, b) => a.enter - b.enter);
+    
+    const path = [];
+    intervals.forEach(({ blockId }) => {
+      if (path[path.length - 1] !== blockId) {
+        path.push(blockId);
+      }
+    });
+    
+    return { intervals, path, dropped: this.timelineDropped };
+  }
+
+  /**
+   * Remove scroll listeners added by setupObservers
+   * @private
+   */
+  removeScrollListeners() {
+    if (!this.scrollTarget) return;
+    
+    this.scrollTarget.removeEventListener('scroll', this.handleScroll);
+    if (this.scrollTarget !== window) {
+      this.scrollTarget.removeEventListener('scroll', this.handleActivity);
+    }
+    this.scrollTarget = null;
+  }
+
+  /**
+   * Handle scroll events
+   * Scroll distance is attributed to blocks currently in view, which later
+   * tells reading apart from scrolling past slowly.
+   * @private
+   */
+  handleScroll = () => {
+    const scrollY = this.getScrollMetrics().scrollTop;
+    const delta = scrollY - this.lastScrollY;
+    this.lastScrollY = scrollY;
+    
+    if (delta === 0) return;
+    this.scrollDirection = delta > 0 ? 'down' : 'up';
+    
+    if (!this.isTracking || !this.tabVisible) return;
+    
+    this.updateScrollDepth();
+    this.visibleBlocks.forEach(element => {
+      const data = this.engagementData.get(element);
+      if (data && data.visibleRatio >= this.options.visibilityThreshold) {
+        data.scrollDistance += Math.abs(delta);
+      }
+    });
+  };
+
+  /**
+   * Classify how a block was consumed
+   * The effective reading speed is the block's word count over its dwell time.
+   * Blocks without words (figures, tables of images) only need the minimum
+   * dwell time to count as read.
+   * @param {Object} data - Engagement record of the block
+   * @returns {Object} - `{ label, wpm, scrollVelocity }`, label being 'read', 'skimmed' or 'skipped'
+   */
+  classifyReading(data) {
+    const { readWpm, skimWpm, maxReadVelocity } = this.options.reading;
+    const seconds = data.timeSpent / 1000;
+    
+    if (seconds <= 0) {
+      return { label: 'skipped', wpm: null, scrollVelocity: 0 };
+    }
+    
+    const scrollVelocity = data.scrollDistance / seconds;
+    
+    if (data.wordCount === 0) {
+      const label = data.timeSpent >= this.options.minTimeThreshold ? 'read' : 'skipped';
+      return { label, wpm: null, scrollVelocity };
+    }
+    
+    const wpm = data.wordCount / (seconds / 60);
+    let label;
+    if (wpm > skimWpm) {
+      label = 'skipped';
+    } else if (wpm > readWpm || scrollVelocity > maxReadVelocity) {
+      label = 'skimmed';
+    } else {
+      label = 'read';
+    }
+    
+    return { label, wpm, scrollVelocity };
+  }
+
+  /**
+   * Handle selection changes, counting a selection once it settles
+   * @param {Event} event - selectionchange event of the page or a frame document
+   * @private
+   */
+  handleSelectionChange = (event) => {
+    const selectionDocument = event.target;
+    clearTimeout(this.selectionTimer);
+    this.selectionTimer = setTimeout(() => {
+      const range = this.getSelectionRange(selectionDocument);
+      const key = range ? range.toString() : null;
+      
+      // Extending or re-firing the same selection is not a new one
+      if (!range || key === this.lastSelectionKey) {
+        this.lastSelectionKey = key;
+        return;
+      }
+      this.lastSelectionKey = key;
+      
+      if (this.options.interactions.selection) {
+        this.recordInteraction('selection', range);
+      }
+    }, 500);
+  };
+
+  /**
+   * Handle copy events
+   * @param {ClipboardEvent} event - Copy event
+   * @private
+   */
+  handleCopy = (event) => {
+    const range = this.getSelectionRange(event.target.ownerDocument || event.target);
+    if (range && this.options.interactions.copy) {
+      this.recordInteraction('copy', range);
+    }
+  };
+
+  /**
+   * Handle clicks on configured share buttons
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  handleShareClick = (event) => {
+    const { shareSelector } = this.options.interactions;
+    if (!shareSelector || !event.target.closest) return;
+    
+    const button = event.target.closest(shareSelector);
+    if (button) {
+      this.recordShare(this.getSelectionRange() || button);
+    }
+  };
+
+  /**
+   * Record a share of a passage
+   * Use this for share flows the `shareSelector` option can't see, such as `navigator.share()`.
+   * @param {Range|HTMLElement} target - Shared range, or an element inside the shared block
+   */
+  recordShare(target) {
+    if (target && typeof target.intersectsNode === 'function') {
+      this.recordInteraction('share', target);
+      return;
+    }
+    
+    const block = this.paragraphs.find(p => p === target || p.contains(target));
+    if (block) {
+      const range = document.createRange();
+      range.selectNodeContents(block);
+      this.recordInteraction('share', range);
+    }
+  }
+
+  /**
+   * Get the current non-empty selection range
+   * @param {Document} [doc=document] - Page or frame document
+   * @returns {Range|null} - Selected range
+   * @private
+   */
+  getSelectionRange(doc = document) {
+    const selection = doc.getSelection && doc.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+    return selection.getRangeAt(0);
+  }
+
+  /**
+   * Attribute an interaction to every tracked block a range touches
+   * @param {string} type - 'selection', 'copy' or 'share'
+   * @param {Range} range - Affected range
+   * @private
+   */
+  recordInteraction(type, range) {
+    if (!this.isTracking) return;
+    
+    const counter = { selection: 'selections', copy: 'copies', share: 'shares' }[type];
+    const { offsets, maxOffsets } = this.options.interactions;
+    const blockIds = [];
+    
+    this.paragraphs.forEach(block => {
+      const data = this.engagementData.get(block);
+      if (!data || !range.intersectsNode(block)) return;
+      
+      data[counter]++;
+      blockIds.push(block.dataset.highlightId);
+      
+      if (offsets && data.ranges.length < maxOffsets) {
+        data.ranges.push({ type, ...this.getTextOffsets(block, range) });
+      }
+    });
+    
+    if (blockIds.length > 0) {
+      this.emit(type, { blockIds, text: this.sanitizeText(range.toString()) });
+      if (this.heatmapVisible && this.heatmapColorBy === 'highlights') {
+        this.updateHeatmap();
+      }
+    }
+  }
+
+  /**
+   * Get the character offsets of a range within a block
+   * Ranges that start or end outside the block are clipped to it.
+   * @param {HTMLElement} block - Tracked block
+   * @param {Range} range - Range touching the block
+   * @returns {Object} - `{ start, end }` offsets into the block's text
+   * @private
+   */
+  getTextOffsets(block, range) {
+    const measure = (container, offset) => {
+      const prefix = document.createRange();
+      prefix.setStart(block, 0);
+      prefix.setEnd(container, offset);
+      return prefix.toString().length;
+    };
+    
+    const start = block.contains(range.startContainer)
+      ? measure(range.startContainer, range.startOffset)
+      : 0;
+    const end = block.contains(range.endContainer)
+      ? measure(range.endContainer, range.endOffset)
+      : block.textContent.length;
+    
+    return { start, end };
+  }
+
+  /**
+   * Handle resize events
+   * @private
+   */
+  handleResize = () => {
+    clearTimeout(this.resizeTimeout);
+    this.resizeTimeout = setTimeout(() => {
+      this.invalidateGeometry();
+      if (this.heatmapVisible) {
+        this.updateHeatmap();
+      }
+    }, 300);
+  };
+
+  /**
+   * Restore per-block totals saved by a previous page load
+   * Stored values are added to the current totals, so time tracked before the
+   * restore finishes is kept.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async restoreEngagement() {
+    if (!this.storage) return;
+    
+    if (this.storageError) {
+      this.emit('warning', {
+        message: 'Storage is unavailable, engagement is only kept for this page view',
+        error: this.storageError
+      });
+      this.storageError = null;
+    }
+    
+    const { maxAge } = this.options.persistence;
+    const key = this.storageKey;
+    const paragraphs = this.paragraphs;
+    const token = ++this.restoreToken;
+    // Tracking was re-initialized or data was imported while loading
+    const superseded = () => paragraphs !== this.paragraphs || token !== this.restoreToken || this.imported;
+    
+    try {
+      const snapshot = await this.storage.load(key);
+      
+      if (superseded()) return;
+      
+      if (!isSnapshotValid(snapshot, maxAge)) {
+        if (snapshot) {
+          await this.storage.remove(key);
+        }
+        return;
+      }
+      
+      let restoredCount = 0;
+      this.paragraphs.forEach(p => {
+        const stored = snapshot.blocks[p.dataset.highlightId];
+        const data = this.engagementData.get(p);
+        if (!stored || !data) return;
+        
+        data.timeSpent += stored.timeSpent;
+        data.weightedTime += stored.weightedTime;
+        if (data.timeSpent > this.maxEngagement) {
+          this.maxEngagement = data.timeSpent;
+        }
+        restoredCount++;
+      });
+      
+      this.emit('restored', { paragraphCount: restoredCount, savedAt: snapshot.savedAt });
+    } catch (error) {
+      this.emit('warning', { message: 'Failed to restore engagement data', error });
+    } finally {
+      if (!superseded()) {
+        this.restoreComplete = true;
+      }
+    }
+  }
+
+  /**
+   * Save current per-block totals to storage
+   * Skipped until the initial restore finishes so stored totals are never
+   * overwritten with partial ones.
+   * @returns {Promise<void>}
+   */
+  async checkpoint() {
+    if (!this.storage || !this.restoreComplete) return;
+    
+    const { maxBytes } = this.options.persistence;
+    const key = this.storageKey;
+    const blocks = {};
+    
+    // Callers don't await checkpoints, so nothing may reject
+    try {
+      this.paragraphs.forEach(p => {
+        const data = this.engagementData.get(p);
+        if (!data || data.timeSpent === 0) return;
+        
+        blocks[p.dataset.highlightId] = {
+          timeSpent: Math.round(data.timeSpent),
+          weightedTime: Math.round(data.weightedTime)
+        };
+      });
+      
+      const snapshot = capSnapshot({
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        blocks
+      }, maxBytes);
+      
+      await this.storage.save(key, snapshot);
+      this.emit('checkpoint', { paragraphCount: Object.keys(snapshot.blocks).length });
+    } catch (error) {
+      this.emit('warning', { message: 'Failed to save engagement data', error });
+    }
+  }
+
+  /**
+   * Remove persisted engagement data for the current page
+   * @returns {Promise<void>}
+   */
+  async clearStoredData() {
+    if (!this.storage || !this.storageKey) return;
+    await this.storage.remove(this.storageKey);
+  }
+
+  /**
+   * Start tracking engagement
+   */
+  startTracking() {
+    if (this.isTracking) return;
+    
+    const blocker = this.getTrackingBlocker();
+    if (blocker) {
+      this.emit('trackingBlocked', { reason: blocker });
+      return;
+    }
+    if (!this.hasConsent()) {
+      // Started by grantConsent()
+      this.trackingPending = true;
+      this.emit('trackingBlocked', { reason: 'consent' });
+      return;
+    }
+    
+    // Imported data is only viewed, tracking continues with the reader's own
+    if (this.imported) {
+      this.imported = false;
+      this.wipeData();
+      this.restorePromise = this.restoreEngagement();
+    }
+    
+    this.isTracking = true;
+    this.trackingStartTime = performance.now();
+    this.isIdle = false;
+    this.attention.since = this.trackingStartTime;
+    this.scheduleIdle();
+    // Time before tracking started isn't counted
+    this.syncEngine(this.trackingStartTime);
+    this.refreshEngagedStates(this.trackingStartTime);
+    
+    if (this.storage) {
+      this.checkpointTimer = setInterval(
+        () => this.checkpoint(),
+        this.options.persistence.checkpointInterval
+      );
+    }
+    
+    if (this.transport) {
+      this.transport.enqueue('trackingStarted', { url: window.location.href, sessionId: this.session && this.session.id });
+    }
+    
+    this.trackingFrame();
+    this.emit('trackingStarted');
+    // Short content is fully visible without scrolling
+    this.updateScrollDepth();
+  }
+
+  /**
+   * Stop tracking engagement
+   */
+  stopTracking() {
+    if (!this.isTracking) return;
+    
+    const now = performance.now();
+    this.updateAttention(now);
+    this.isTracking = false;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.syncEngine(now);
+    this.refreshEngagedStates(now);
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    
+    clearInterval(this.checkpointTimer);
+    this.checkpointTimer = null;
+    this.checkpoint();
+    
+    const duration = now - this.trackingStartTime;
+    if (this.transport) {
+      this.transport.enqueue('trackingStopped', { duration });
+    }
+    
+    this.emit('trackingStopped', { duration });
+  }
+
+  /**
+   * Animation frame handler for tracking
+   * @private
+   */
+  trackingFrame = () => {
+    if (!this.isTracking || !this.isAttentive()) {
+      this.rafId = requestAnimationFrame(this.trackingFrame);
+      return;
+    }
+    
+    // Dynamically adjust batch size based on frame time
+    const targetFrameTime = 16; // ms
+    const now = performance.now();
+    const measuredFrameTime = this.lastFrameTime ? now - this.lastFrameTime : targetFrameTime;
+    this.lastFrameTime = now;
+    const batchSize = Math.min(
+      Math.max(Math.floor(5 * (targetFrameTime / Math.max(measuredFrameTime, 1))), 1),
+      this.paragraphs.length
+    );
+    if (batchSize > 0) {
+      this.processBatch(batchSize);
+    }
+    this.emitTick(now);
+    
+    this.rafId = requestAnimationFrame(this.trackingFrame);
+  };
 
-      // Add Mutation Observer for DOM changes
-      this.mutationObserver = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-          if (mutation.type === 'childList') {
-            this.handleDOMChanges(mutation);
-          }
-        });
-      });
+  /**
+   * Process a batch of paragraphs for performance
+   * @param {number} batchSize - Number of paragraphs to process
+   * @private
+   */
+  processBatch(batchSize) {
+    const now = performance.now();
+    
+    for (let i = 0; i < batchSize; i++) {
+      const index = (this.lastProcessedIndex + i) % this.paragraphs.length;
+      const paragraph = this.paragraphs[index];
+      const data = this.engine.update(paragraph.dataset.highlightId, now);
+      
+      if (data) {
+        this.handleAccrued(paragraph, data);
+      }
+    }
+    
+    this.lastProcessedIndex = (this.lastProcessedIndex + batchSize) % this.paragraphs.length;
+  }
 
-      this.mutationObserver.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
+  /**
+   * Get reading progress through the tracked content
+   * The time remaining is the word count of blocks not read yet at the pace the
+   * reader showed on the blocks they did read.
+   * @param {Object} [options] - Progress options
+   * @param {string} [options.article] - Only measure this article
+   * @returns {Object} - `{ blocks, readBlocks, percentRead, scrollDepth, pace, timeRemaining, completed }`;
+   *   percentages are 0-100, `pace` is in words per minute (null until known), `timeRemaining` in ms
+   */
+  getProgress({ article = null } = {}) {
+    const { completion, defaultWpm } = this.options.progress;
+    let blocks = 0;
+    let readBlocks = 0;
+    let readWords = 0;
+    let readTime = 0;
+    let remainingWords = 0;
+    
+    this.paragraphs.forEach(element => {
+      const data = this.engagementData.get(element);
+      if (!data) return;
+      if (article !== null && (this.getArticle(element) || {}).id !== article) return;
+      
+      blocks++;
+      if (this.classifyReading(data).label === 'read') {
+        readBlocks++;
+        readWords += data.wordCount;
+        readTime += data.timeSpent;
+      } else {
+        remainingWords += data.wordCount;
+      }
+    });
+    
+    const pace = readWords > 0 && readTime > 0 ? readWords / (readTime / 60000) : null;
+    const share = blocks > 0 ? readBlocks / blocks : 0;
+    
+    return {
+      blocks,
+      readBlocks,
+      percentRead: Math.round(share * 1000) / 10,
+      scrollDepth: Math.round(this.getScrollDepth(article) * 1000) / 10,
+      pace: pace === null ? null : Math.round(pace),
+      timeRemaining: Math.round(remainingWords / (pace || defaultWpm) * 60000),
+      completed: blocks > 0 && share >= completion
+    };
+  }
 
-      this.paragraphs.forEach(p => {
-        try {
-          this.observer.observe(p);
-        } catch (error) {
-          this.emit('error', { element: p, error });
-        }
+  /**
+   * Get how far the reader has scrolled through the content
+   * @param {string|null} [article=null] - Article ID, or null for the whole container
+   * @returns {number} - Deepest point seen as a fraction (0-1) of the content's height
+   * @private
+   */
+  getScrollDepth(article = null) {
+    const geometry = this.getGeometry();
+    const section = article === null
+      ? geometry.container
+      : geometry.articles.find(({ id }) => id === article);
+    if (!section || this.maxScrollBottom === 0) return 0;
+    if (section.height <= 0) return this.maxScrollBottom >= section.top ? 1 : 0;
+    
+    return Math.min(Math.max((this.maxScrollBottom - section.top) / section.height, 0), 1);
+  }
+
+  /**
+   * Record the deepest scroll position and emit milestones it reached
+   * Milestones fire once per session for the container and for each article.
+   * @private
+   */
+  updateScrollDepth() {
+    const { scrollTop, viewportHeight } = this.getScrollMetrics();
+    const bottom = scrollTop + viewportHeight;
+    if (bottom <= this.maxScrollBottom) return;
+    
+    this.maxScrollBottom = bottom;
+    
+    const sections = [null, ...[...this.articles.values()].map(({ id }) => id)];
+    sections.forEach(article => {
+      const depth = this.getScrollDepth(article) * 100;
+      this.options.progress.milestones.forEach(milestone => {
+        const key = `${article}:${milestone}`;
+        if (depth < milestone || this.milestonesReached.has(key)) return;
+        
+        this.milestonesReached.add(key);
+        this.emit('milestone', { depth: milestone, article });
       });
-    } catch (error) {
-      this.emit('error', { message: 'Failed to create observers', error });
-      throw error;
+    });
+  }
+
+  /**
+   * Create a visual heatmap of engagement
+   * By default the heatmap shows the current reader's live data. Passing an
+   * aggregate from {@link aggregateExports} shows audience-wide data instead.
+   * @param {Object} [options] - Heatmap options
+   * @param {Object} [options.data] - Aggregate produced by `aggregateExports()`
+   * @param {string} [options.metric='median'] - Aggregate statistic to display
+   *   ('median', 'p90', 'mean', 'readers', 'reach' or 'dropOff')
+   * @param {string} [options.mode] - Render mode, defaults to `options.heatmapMode`
+   * @param {string} [options.colorBy] - Color mode, defaults to `options.colorBy`
+   */
+  createHeatmap({
+    data = null,
+    metric = 'median',
+    mode = this.options.heatmapMode,
+    colorBy = this.options.colorBy
+  } = {}) {
+    if (data && (!data.blocks || typeof data.blocks !== 'object')) {
+      throw new TypeError('Heatmap data must be an aggregate from aggregateExports()');
+    }
+    if (!HEATMAP_MODES.includes(mode)) {
+      throw new RangeError(`Heatmap mode must be one of: ${HEATMAP_MODES.join(', ')}`);
+    }
+    if (!COLOR_MODES.includes(colorBy)) {
+      throw new RangeError(`Heatmap color mode must be one of: ${COLOR_MODES.join(', ')}`);
+    }
+    
+    // Switching away from overlay leaves no tinted blocks behind
+    if (this.heatmapMode !== 'strip' && mode === 'strip') {
+      this.clearOverlay();
+    }
+    this.heatmapSource = data ? { data, metric } : null;
+    this.heatmapMode = mode;
+    this.heatmapColorBy = colorBy;
+    
+    if (!this.heatmapContainer && mode !== 'overlay') {
+      // Create container if not provided
+      this.heatmapContainer = document.createElement('div');
+      this.heatmapContainer.className = 'highlight-tracker-heatmap';
+      this.heatmapContainer.style.cssText = `
+        position: fixed;
+        top: 0;
+        right: 0;
+        width: 20px;
+        height: 100%;
+        z-index: 9999;
+      `;
+      document.body.appendChild(this.heatmapContainer);
+    }
+    
+    if (this.heatmapContainer) {
+      this.heatmapContainer.style.display = mode === 'overlay' ? 'none' : '';
+      this.heatmapContainer.removeEventListener('click', this.handleStripClick);
+      this.heatmapContainer.addEventListener('click', this.handleStripClick);
     }
+    
+    this.removeHeatmapScrollListener();
+    this.heatmapScrollTarget = this.getScrollTarget();
+    this.heatmapScrollTarget.addEventListener('scroll', this.handleHeatmapScroll, { passive: true });
+    
+    this.updateHeatmap();
+    this.heatmapVisible = true;
+    
+    this.emit('heatmapCreated');
   }
 
   /**
-   * Calculate thresholds for IntersectionObserver
-   * @returns {number[]} - Array of threshold values
+   * Get the options the current heatmap was created with
+   * @returns {Object} - `createHeatmap()` options
    * @private
    */
-  calculateThresholds() {
-    // Create 10 threshold points from 0 to 1
-    const thresholds = [];
-    for (let i = 0; i <= 10; i++) {
-      thresholds.push(i / 10);
+  getHeatmapOptions() {
+    return {
+      mode: this.heatmapMode,
+      colorBy: this.heatmapColorBy,
+      ...(this.heatmapSource && { data: this.heatmapSource.data, metric: this.heatmapSource.metric })
+    };
+  }
+
+  /**
+   * Get the value a block is colored by
+   * @param {HTMLElement} paragraph - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @returns {number|string} - Block value, or reading label in 'reading' color mode
+   * @private
+   */
+  getHeatmapValue(paragraph, data) {
+    if (this.replayValues) {
+      const totals = this.replayValues.get(paragraph.dataset.highlightId);
+      return totals ? this.scoreTotals(paragraph, data, totals) : 0;
     }
-    return thresholds;
+    if (this.heatmapSource) {
+      const { data: aggregate, metric } = this.heatmapSource;
+      const block = aggregate.blocks[paragraph.dataset.highlightId];
+      return block ? block[metric] || 0 : 0;
+    }
+    if (this.heatmapColorBy === 'reading') {
+      return this.classifyReading(data).label;
+    }
+    if (this.heatmapColorBy === 'highlights') {
+      return Object.entries(INTERACTION_WEIGHTS)
+        .reduce((score, [counter, weight]) => score + data[counter] * weight, 0);
+    }
+    return this.engine.score(paragraph.dataset.highlightId);
   }
 
   /**
-   * Handle intersection events
-   * @param {IntersectionObserverEntry[]} entries - Intersection entries
+   * Score other dwell totals of a block than its live ones, e.g. a replay frame's
+   * @param {HTMLElement} paragraph - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @param {Object} totals - `{ timeSpent, weightedTime }` in ms
+   * @returns {number} - Score under the `scoring` option
    * @private
    */
-  handleIntersection = (entries) => {
-    if (!this.tabVisible) return;
+  scoreTotals(paragraph, data, totals) {
+    return scoreBlock(
+      { ...data, id: paragraph.dataset.highlightId, ...totals },
+      this.options.scoring,
+      { expectedWpm: this.options.progress.defaultWpm }
+    );
+  }
+
+  /**
+   * Build the color scale over all current block values
+   * @returns {Object} - Color scale from `createColorScale()` or `createCategoricalScale()`
+   * @private
+   */
+  createHeatmapScale() {
+    const { colors, colorStops, scale, readingColors } = this.options;
     
-    const now = performance.now();
+    if (!this.heatmapSource && this.heatmapColorBy === 'reading') {
+      return createCategoricalScale(readingColors);
+    }
     
-    entries.forEach(entry => {
-      const data = this.engagementData.get(entry.target);
-      if (!data) return;
+    const values = this.paragraphs.map(p => {
+      const data = this.engagementData.get(p);
+      return data ? this.getHeatmapValue(p, data) : 0;
+    });
+    
+    return createColorScale({
+      stops: colorStops || [colors.low, colors.medium, colors.high],
+      type: scale
+    }, values);
+  }
 
-      // Track exact visible ratio
-      data.visibleRatio = entry.intersectionRatio;
-      data.inView = entry.isIntersecting;
+  /**
+   * Create the heatmap legend
+   * @param {Object} scale - Color scale used for the segments
+   * @returns {HTMLElement} - Legend element
+   * @private
+   */
+  createLegend(scale) {
+    const legend = document.createElement('div');
+    legend.className = 'heatmap-legend';
+    legend.style.cssText = `
+      position: absolute;
+      right: 100%;
+      bottom: 10px;
+      display: flex;
+      align-items: stretch;
+      gap: 4px;
+      margin-right: 8px;
+      padding: 4px;
+      background-color: rgba(255, 255, 255, 0.9);
+      border: 1px solid #ccc;
+      font: 11px sans-serif;
+      color: #333;
+      pointer-events: none;
+    `;
+    
+    if (scale.categories) {
+      this.appendCategoryLegend(legend, scale);
+      return legend;
+    }
+    
+    // Sample the gradient top (high) to bottom (low)
+    const samples = [];
+    for (let i = 10; i >= 0; i--) {
+      samples.push(scale.gradient(i / 10));
+    }
+    
+    const bar = document.createElement('div');
+    bar.className = 'heatmap-legend-bar';
+    bar.style.cssText = `
+      width: 10px;
+      height: 100px;
+      background: linear-gradient(${samples.join(', ')});
+    `;
+    
+    const labels = document.createElement('div');
+    labels.className = 'heatmap-legend-labels';
+    labels.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      justify-content: space-between;
+      white-space: nowrap;
+    `;
+    [1, 0.5, 0].forEach(t => {
+      const label = document.createElement('span');
+      label.textContent = this.formatLegendValue(scale.invert(t));
+      labels.appendChild(label);
+    });
+    
+    legend.appendChild(bar);
+    legend.appendChild(labels);
+    return legend;
+  }
+
+  /**
+   * Fill the legend with one swatch per category, highest first
+   * @param {HTMLElement} legend - Legend element
+   * @param {Object} scale - Categorical scale
+   * @private
+   */
+  appendCategoryLegend(legend, scale) {
+    legend.style.flexDirection = 'column';
+    
+    [...scale.categories].reverse().forEach(category => {
+      const item = document.createElement('span');
+      item.className = 'heatmap-legend-item';
       
-      // Calculate weighted time contribution
-      if (data.lastUpdate) {
-        const delta = now - data.lastUpdate;
-        if (data.inView && this.isTracking) {
-          data.timeSpent += delta;
-          data.weightedTime += delta * data.visibleRatio;
-          
-          // Update max engagement for scaling
-          if (data.timeSpent > this.maxEngagement) {
-            this.maxEngagement = data.timeSpent;
-          }
-        }
+      const swatch = document.createElement('span');
+      swatch.className = 'heatmap-legend-swatch';
+      swatch.style.cssText = `
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        margin-right: 4px;
+        background-color: ${scale.color(category)};
+      `;
+      
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(category));
+      legend.appendChild(item);
+    });
+  }
+
+  /**
+   * Format a heatmap value for the legend
+   * @param {number|string} value - Block value
+   * @returns {string} - Formatted value, in seconds for time metrics
+   * @private
+   */
+  formatLegendValue(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    if (this.heatmapSource
+      ? ['readers', 'reach', 'dropOff'].includes(this.heatmapSource.metric)
+      : this.heatmapColorBy === 'highlights' && !this.replayValues) {
+      return String(Math.round(value * 100) / 100);
+    }
+    // Live and replayed values are scores
+    if (!this.heatmapSource) {
+      const { scoring } = this.options;
+      if (scoring === 'perWord') return `${Math.round(value)}ms/word`;
+      if (scoring === 'readRatio') return `${(Math.round(value * 100) / 100).toFixed(2)}×`;
+      if (!['raw', 'weighted'].includes(scoring)) return String(Math.round(value * 100) / 100);
+    }
+    return `${(value / 1000).toFixed(1)}s`;
+  }
+
+  /**
+   * Describe a block's value for the segment tooltip
+   * @param {HTMLElement} paragraph - Tracked block
+   * @param {Object} data - Engagement record of the block
+   * @returns {string} - Tooltip text
+   * @private
+   */
+  getHeatmapTitle(paragraph, data) {
+    if (this.heatmapSource) {
+      const { data: aggregate, metric } = this.heatmapSource;
+      const block = aggregate.blocks[paragraph.dataset.highlightId];
+      if (!block) return `No audience data for this ${data.kind}`;
+      return `${metric}: ${Math.round(block[metric] * 100) / 100} ` +
+        `(${block.readers} of ${aggregate.readers} readers)`;
+    }
+    if (this.heatmapColorBy === 'reading') {
+      const { label, wpm } = this.classifyReading(data);
+      const speed = wpm === null ? '' : `, ${Math.round(wpm)} wpm`;
+      return `${label} (${Math.round(data.timeSpent)}ms${speed})`;
+    }
+    if (this.heatmapColorBy === 'highlights') {
+      return `${data.selections} selections, ${data.copies} copies, ${data.shares} shares`;
+    }
+    const time = `${Math.round(data.timeSpent)}ms spent on this ${data.kind}`;
+    if (this.options.scoring === 'raw') return time;
+    return `${time}, score ${this.formatLegendValue(this.engine.score(paragraph.dataset.highlightId))}`;
+  }
+
+  /**
+   * Buffer heatmap updates using requestAnimationFrame
+   * @private
+   */
+  updateHeatmap() {
+    if (this.heatmapUpdateRequest) return;
+    this.heatmapUpdateRequest = requestAnimationFrame(() => {
+      this._updateHeatmap();
+      this.heatmapUpdateRequest = null;
+    });
+  }
+
+  /**
+   * Internal method to update the heatmap
+   * @private
+   */
+  _updateHeatmap() {
+    const scale = this.createHeatmapScale();
+    
+    if (this.heatmapContainer && this.heatmapMode !== 'overlay') {
+      this.renderStrip(scale);
+    }
+    
+    if (this.heatmapMode !== 'strip') {
+      this.renderOverlay(scale);
+    }
+  }
+
+  /**
+   * Measure tracked blocks once and reuse the result
+   * The cache is invalidated on resize and DOM mutations, so rendering never
+   * forces layout per block.
+   * @returns {Object} - `{ blocks, articles, container, docHeight }` with blocks and articles sorted
+   *   by position in the scroll root
+   * @private
+   */
+  getGeometry() {
+    if (!this.geometryCache) {
+      const root = this.scrollRoot;
+      
+      // Offsets are measured in the scroll root's content coordinates
+      let originTop = -window.scrollY;
+      let originLeft = -window.scrollX;
+      if (root) {
+        const rootRect = root.getBoundingClientRect();
+        originTop = rootRect.top + root.clientTop - root.scrollTop;
+        originLeft = rootRect.left + root.clientLeft - root.scrollLeft;
+      }
+      
+      const blocks = this.paragraphs
+        .map(element => {
+          const rect = this.getElementRect(element);
+          return {
+            element,
+            top: rect.top - originTop,
+            left: rect.left - originLeft,
+            width: rect.width,
+            height: rect.height
+          };
+        })
+        .sort((a, b) => a.top - b.top);
+      
+      const articles = [...this.articles.values()]
+        .map(({ id, element }) => {
+          const rect = this.getElementRect(element);
+          return { id, top: rect.top - originTop, height: rect.height };
+        })
+        .sort((a, b) => a.top - b.top);
+      
+      const { scrollHeight } = this.getScrollMetrics();
+      let container = { top: 0, height: scrollHeight };
+      // A container inside the scroll root is measured, otherwise it is the scrolled content
+      if (this.container && !(root && this.container.contains(root))) {
+        const rect = this.getElementRect(this.container);
+        container = { top: rect.top - originTop, height: rect.height };
       }
       
-      data.lastUpdate = now;
+      this.geometryCache = {
+        blocks,
+        articles,
+        container,
+        docHeight: scrollHeight
+      };
+    }
+    return this.geometryCache;
+  }
+
+  /**
+   * Drop cached block geometry
+   * @private
+   */
+  invalidateGeometry() {
+    this.geometryCache = null;
+  }
+
+  /**
+   * Render the side strip heatmap
+   * @param {Object} scale - Color scale for the segments
+   * @private
+   */
+  renderStrip(scale) {
+    const { blocks, articles, docHeight } = this.getGeometry();
+    
+    const segments = blocks
+      .map(({ element, top, height }) => {
+        const data = this.engagementData.get(element);
+        if (!data) return null;
+        
+        return {
+          element,
+          kind: data.kind,
+          id: element.dataset.highlightId,
+          top: top / docHeight,
+          height: height / docHeight,
+          color: scale.color(this.getHeatmapValue(element, data)),
+          title: this.getHeatmapTitle(element, data)
+        };
+      })
+      .filter(Boolean);
+    
+    // Clear existing segments
+    this.heatmapContainer.innerHTML = '';
+    
+    // Create fragments for efficient DOM updates
+    const fragment = document.createDocumentFragment();
+    
+    if (this.options.renderer === 'canvas') {
+      if (!this.canvasRenderer) {
+        this.canvasRenderer = new CanvasHeatmapRenderer({
+          onSelect: segment => this.scrollToBlock(segment.element)
+        });
+      }
+      // The canvas must be attached before it can be measured
+      this.heatmapContainer.appendChild(this.canvasRenderer.canvas);
+      this.canvasRenderer.render(segments);
+    } else {
+      segments.forEach(({ id, kind, top, height, color, title }) => {
+        const segment = document.createElement('div');
+        segment.className = `heatmap-segment heatmap-segment--${kind}`;
+        segment.dataset.paragraphId = id;
+        segment.dataset.kind = kind;
+        segment.style.cssText = `
+          position: absolute;
+          top: ${top * 100}%;
+          left: 0;
+          width: 100%;
+          height: ${Math.max(height * 100, 1)}%;
+          background-color: ${color};
+          cursor: pointer;
+          transition: opacity 0.2s;
+        `;
+        // Add tooltip with engagement data
+        segment.title = title;
+        fragment.appendChild(segment);
+      });
+    }
+    
+    // Mark where each article starts and ends
+    articles.forEach(({ id, top, height }) => {
+      const section = document.createElement('div');
+      section.className = 'heatmap-article';
+      section.dataset.articleId = id;
+      section.title = id;
+      section.style.cssText = `
+        position: absolute;
+        top: ${top / docHeight * 100}%;
+        left: 0;
+        width: 100%;
+        height: ${height / docHeight * 100}%;
+        box-sizing: border-box;
+        border-top: 2px solid #333;
+        border-bottom: 1px dashed #333;
+        pointer-events: none;
+      `;
+      fragment.appendChild(section);
     });
+    
+    // Add current viewport indicator
+    const { scrollTop, viewportHeight } = this.getScrollMetrics();
+    const viewportIndicator = document.createElement('div');
+    viewportIndicator.className = 'viewport-indicator';
+    viewportIndicator.style.cssText = `
+      position: absolute;
+      top: ${scrollTop / docHeight * 100}%;
+      left: -5px;
+      width: 5px;
+      height: ${viewportHeight / docHeight * 100}%;
+      background-color: rgba(255, 255, 255, 0.7);
+      border: 1px solid #333;
+      pointer-events: none;
+    `;
+    fragment.appendChild(viewportIndicator);
+    
+    if (this.options.legend) {
+      fragment.appendChild(this.createLegend(scale));
+    }
+    
+    // Efficient DOM update
+    this.heatmapContainer.appendChild(fragment);
+  }
+
+  /**
+   * Handle clicks on DOM strip segments (one delegated listener)
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  handleStripClick = (event) => {
+    const segment = event.target.closest && event.target.closest('.heatmap-segment');
+    if (!segment) return;
+    
+    const element = this.paragraphs.find(p => p.dataset.highlightId === segment.dataset.paragraphId);
+    if (element) {
+      this.scrollToBlock(element);
+    }
   };
 
   /**
-   * Handle resize events
+   * Keep the viewport indicator in sync with scrolling
    * @private
    */
-  handleResize = () => {
-    clearTimeout(this.resizeTimeout);
-    this.resizeTimeout = setTimeout(() => {
-      if (this.heatmapVisible) {
-        this.updateHeatmap();
-      }
-    }, 300);
+  handleHeatmapScroll = () => {
+    // During a replay the indicator follows the recording, not the page
+    if (!this.heatmapContainer || this.replayValues) return;
+    
+    const indicator = this.heatmapContainer.querySelector('.viewport-indicator');
+    if (indicator) {
+      indicator.style.top = `${this.getScrollMetrics().scrollTop / this.getGeometry().docHeight * 100}%`;
+    }
   };
 
   /**
-   * Start tracking engagement
+   * Remove the viewport indicator scroll listener
+   * @private
    */
-  startTracking() {
-    if (this.isTracking) return;
-    
-    this.isTracking = true;
-    this.trackingStartTime = performance.now();
+  removeHeatmapScrollListener() {
+    if (this.heatmapScrollTarget) {
+      this.heatmapScrollTarget.removeEventListener('scroll', this.handleHeatmapScroll);
+      this.heatmapScrollTarget = null;
+    }
+  }
+
+  /**
+   * Replay a recorded timeline on the heatmap strip
+   * Call `play()` on the returned controller to start; `pause()`, `seek(ms)`,
+   * `setSpeed(x)` and `stop()` control playback. Progress is reported through the
+   * `replayStart`, `replayProgress`, `replayPause`, `replaySeek`, `replaySpeed`,
+   * `replayEnd` and `replayStop` events.
+   * @param {Object} [timeline] - Timeline to play, defaults to this tracker's `getTimeline()`
+   * @param {Object} [options] - Replay options
+   * @param {number} [options.speed=1] - Playback speed multiplier
+   * @param {boolean} [options.scrollPage=false] - Scroll the page along with the replay
+   * @returns {ReplayController} - Playback controller
+   */
+  replay(timeline = this.getTimeline(), options = {}) {
+    if (this.replayController) {
+      this.replayController.stop();
+    }
     
-    // Update all timestamps to prevent counting time before tracking started
-    this.paragraphs.forEach(p => {
-      const data = this.engagementData.get(p);
-      if (data) {
-        data.lastUpdate = this.trackingStartTime;
-      }
-    });
+    if (!this.heatmapVisible || this.heatmapMode === 'overlay') {
+      this.createHeatmap({ mode: 'strip' });
+    }
     
-    this.trackingFrame();
-    this.emit('trackingStarted');
+    this.replayController = new ReplayController(this, timeline, options);
+    this.replayController.render();
+    return this.replayController;
   }
 
   /**
-   * Stop tracking engagement
+   * Draw one replay frame
+   * @param {Map<string, Object>} values - `{ timeSpent, weightedTime }` accumulated so far, by block ID
+   * @param {string|null} activeId - Block being read at this point of the recording
+   * @param {Object} [options] - Frame options
+   * @param {boolean} [options.scrollPage=false] - Scroll the page to the active block
+   * @private
    */
-  stopTracking() {
-    if (!this.isTracking) return;
+  renderReplayFrame(values, activeId, { scrollPage = false } = {}) {
+    this.replayValues = values;
+    this._updateHeatmap();
     
-    this.isTracking = false;
-    cancelAnimationFrame(this.rafId);
-    this.rafId = null;
+    const { blocks, docHeight } = this.getGeometry();
+    const active = activeId && blocks.find(({ element }) => element.dataset.highlightId === activeId);
+    if (!active) return;
     
-    this.emit('trackingStopped', {
-      duration: performance.now() - this.trackingStartTime
-    });
+    const indicator = this.heatmapContainer && this.heatmapContainer.querySelector('.viewport-indicator');
+    if (indicator) {
+      indicator.style.top = `${active.top / docHeight * 100}%`;
+    }
+    
+    if (scrollPage) {
+      this.scrollToOffset(active.top, 'auto');
+    }
   }
 
   /**
-   * Animation frame handler for tracking
+   * Leave replay mode and show live data again
+   * @param {ReplayController} controller - Replay that ended
    * @private
    */
-  trackingFrame = () => {
-    if (!this.isTracking || !this.tabVisible) {
-      this.rafId = requestAnimationFrame(this.trackingFrame);
-      return;
-    }
+  endReplay(controller) {
+    if (this.replayController !== controller) return;
     
-    // Dynamically adjust batch size based on frame time
-    const targetFrameTime = 16; // ms
-    const measuredFrameTime = performance.now() - this.lastFrameTime;
-    const batchSize = Math.min(Math.floor(5 * (targetFrameTime / measuredFrameTime)), this.paragraphs.length);
-    this.processBatch(batchSize);
+    this.replayController = null;
+    this.replayValues = null;
+    this.emit('replayStop');
     
-    this.rafId = requestAnimationFrame(this.trackingFrame);
-  };
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+  }
 
   /**
-   * Process a batch of paragraphs for performance
-   * @param {number} batchSize - Number of paragraphs to process
+   * Scroll a block into view and flash it
+   * @param {HTMLElement} element - Block to navigate to
    * @private
    */
-  processBatch(batchSize) {
-    const now = performance.now();
-    
-    for (let i = 0; i < batchSize; i++) {
-      const index = (this.lastProcessedIndex + i) % this.paragraphs.length;
-      const paragraph = this.paragraphs[index];
-      const data = this.engagementData.get(paragraph);
-      
-      if (!data) continue;
-      
-      // Update time calculations
-      if (data.visibleRatio >= this.options.visibilityThreshold && data.lastUpdate) {
-        const delta = now - data.lastUpdate;
-        data.timeSpent += delta;
-        data.weightedTime += delta * data.visibleRatio;
-        
-        // Update max engagement for scaling
-        if (data.timeSpent > this.maxEngagement) {
-          this.maxEngagement = data.timeSpent;
-        }
+  scrollToBlock(element) {
+    if (this.scrollRoot) {
+      // scrollIntoView would also scroll every ancestor, including the page
+      const block = this.getGeometry().blocks.find(b => b.element === element);
+      if (block) {
+        this.scrollToOffset(block.top);
       }
-      
-      data.lastUpdate = now;
+    } else {
+      element.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
-    
-    this.lastProcessedIndex = (this.lastProcessedIndex + batchSize) % this.paragraphs.length;
+    this.flashElement(element);
   }
 
   /**
-   * Create a visual heatmap of engagement
+   * Tint tracked blocks in place and optionally add badges
+   * @param {Object} scale - Color scale for the blocks
+   * @private
    */
-  createHeatmap() {
-    if (!this.heatmapContainer) {
-      // Create container if not provided
-      this.heatmapContainer = document.createElement('div');
-      this.heatmapContainer.className = 'highlight-tracker-heatmap';
-      this.heatmapContainer.style.cssText = `
-        position: fixed;
+  renderOverlay(scale) {
+    const { style, opacity, badge } = this.options.overlay;
+    
+    const blocks = this.paragraphs
+      .map(paragraph => {
+        const data = this.engagementData.get(paragraph);
+        return data ? { paragraph, data, value: this.getHeatmapValue(paragraph, data) } : null;
+      })
+      .filter(Boolean);
+    
+    blocks.forEach(({ paragraph, value }) => {
+      // A running flash owns the element until it restores it
+      if (this.flashTimers.has(paragraph)) return;
+      
+      this.saveInlineStyle(paragraph);
+      const color = scale.color(value);
+      if (style === 'border') {
+        paragraph.style.boxShadow = `inset 4px 0 0 ${color}`;
+      } else {
+        paragraph.style.backgroundColor = withOpacity(color, opacity);
+      }
+    });
+    
+    const needsLayer = badge || (this.options.legend && this.heatmapMode === 'overlay');
+    if (!needsLayer) return;
+    
+    if (!this.overlayLayer) {
+      this.overlayLayer = document.createElement('div');
+      this.overlayLayer.className = 'highlight-tracker-overlay';
+      this.overlayLayer.style.cssText = `
+        position: absolute;
         top: 0;
-        right: 0;
-        width: 20px;
-        height: 100%;
+        left: 0;
+        width: 0;
+        height: 0;
         z-index: 9999;
+        pointer-events: none;
       `;
-      document.body.appendChild(this.heatmapContainer);
+      // Badges use scroll root coordinates, so they have to scroll with its content
+      const host = this.scrollRoot || document.body;
+      if (this.scrollRoot && getComputedStyle(host).position === 'static') {
+        this.saveInlineStyle(host);
+        host.style.position = 'relative';
+      }
+      host.appendChild(this.overlayLayer);
     }
+    this.overlayLayer.innerHTML = '';
     
-    this.updateHeatmap();
-    this.heatmapVisible = true;
+    const fragment = document.createDocumentFragment();
     
-    this.emit('heatmapCreated');
+    if (badge) {
+      const ranks = new Map(
+        [...blocks]
+          .sort((a, b) => scale.normalize(b.value) - scale.normalize(a.value))
+          .map((block, index) => [block.paragraph, index + 1])
+      );
+      
+      const geometry = new Map(this.getGeometry().blocks.map(block => [block.element, block]));
+      
+      blocks.forEach(({ paragraph, data, value }) => {
+        const rect = geometry.get(paragraph);
+        if (!rect) return;
+        const badgeElement = document.createElement('span');
+        badgeElement.className = 'heatmap-badge';
+        badgeElement.dataset.paragraphId = paragraph.dataset.highlightId;
+        badgeElement.textContent = `${this.formatLegendValue(value)} · #${ranks.get(paragraph)}`;
+        badgeElement.title = this.getHeatmapTitle(paragraph, data);
+        badgeElement.style.cssText = `
+          position: absolute;
+          top: ${rect.top}px;
+          left: ${rect.left + rect.width}px;
+          transform: translateX(-100%);
+          padding: 1px 6px;
+          border-radius: 8px;
+          background-color: ${scale.color(value)};
+          color: #fff;
+          font: 11px sans-serif;
+          white-space: nowrap;
+        `;
+        fragment.appendChild(badgeElement);
+      });
+    }
+    
+    if (this.options.legend && this.heatmapMode === 'overlay') {
+      const legend = this.createLegend(scale);
+      legend.style.position = 'fixed';
+      legend.style.right = '10px';
+      legend.style.bottom = '10px';
+      fragment.appendChild(legend);
+    }
+    
+    this.overlayLayer.appendChild(fragment);
   }
 
   /**
-   * Buffer heatmap updates using requestAnimationFrame
+   * Remember an element's inline style before the tracker changes it
+   * @param {HTMLElement} element - Element about to be styled
    * @private
    */
-  updateHeatmap() {
-    if (this.heatmapUpdateRequest) return;
-    this.heatmapUpdateRequest = requestAnimationFrame(() => {
-      this._updateHeatmap();
-      this.heatmapUpdateRequest = null;
-    });
+  saveInlineStyle(element) {
+    if (!this.savedStyles.has(element)) {
+      this.savedStyles.set(element, element.getAttribute('style'));
+    }
   }
 
   /**
-   * Internal method to update the heatmap
+   * Put back an element's original inline style
+   * @param {HTMLElement} element - Styled element
    * @private
    */
-  _updateHeatmap() {
-    if (!this.heatmapContainer) return;
-    
-    // Clear existing segments
-    this.heatmapContainer.innerHTML = '';
-    
-    // Calculate document height for positioning
-    const docHeight = document.documentElement.scrollHeight;
+  restoreInlineStyle(element) {
+    if (!this.savedStyles.has(element)) return;
     
-    // Create fragments for efficient DOM updates
-    const fragment = document.createDocumentFragment();
+    const original = this.savedStyles.get(element);
+    if (original === null) {
+      element.removeAttribute('style');
+    } else {
+      element.setAttribute('style', original);
+    }
+    this.savedStyles.delete(element);
+  }
+
+  /**
+   * Briefly highlight a block after navigating to it
+   * @param {HTMLElement} element - Block to flash
+   * @private
+   */
+  flashElement(element) {
+    clearTimeout(this.flashTimers.get(element));
     
-    // Sort paragraphs by their position in the document
-    const sortedParagraphs = [...this.paragraphs]
-      .sort((a, b) => {
-        const aRect = a.getBoundingClientRect();
-        const bRect = b.getBoundingClientRect();
-        return (aRect.top + window.scrollY) - (bRect.top + window.scrollY);
-      });
+    this.saveInlineStyle(element);
+    element.style.backgroundColor = 'rgba(79, 151, 255, 0.2)';
     
-    sortedParagraphs.forEach(paragraph => {
-      const data = this.engagementData.get(paragraph);
-      if (!data) return;
-      
-      const rect = paragraph.getBoundingClientRect();
-      const paragraphTop = rect.top + window.scrollY;
-      const paragraphHeight = rect.height;
-      
-      // Calculate position in heatmap
-      const relativePosition = paragraphTop / docHeight;
-      const relativeHeight = paragraphHeight / docHeight;
-      
-      // Ensure minimum height for visibility
-      const segmentHeight = Math.max(relativeHeight * 100, 1);
-      
-      // Calculate intensity based on time spent
-      let intensity = 0;
-      if (this.maxEngagement > 0) {
-        intensity = data.timeSpent / this.maxEngagement;
-      }
-      
-      // Determine color based on intensity
-      let color;
-      if (intensity < 0.33) {
-        color = this.options.colors.low;
-      } else if (intensity < 0.66) {
-        color = this.options.colors.medium;
-      } else {
-        color = this.options.colors.high;
+    this.flashTimers.set(element, setTimeout(() => {
+      this.flashTimers.delete(element);
+      this.restoreInlineStyle(element);
+      // Re-apply the tint the flash replaced
+      if (this.heatmapVisible && this.heatmapMode !== 'strip') {
+        this.updateHeatmap();
       }
-      
-      const segment = document.createElement('div');
-      segment.className = 'heatmap-segment';
-      segment.dataset.paragraphId = paragraph.dataset.highlightId;
-      segment.style.cssText = `
-        position: absolute;
-        top: ${relativePosition * 100}%;
-        left: 0;
-        width: 100%;
-        height: ${segmentHeight}%;
-        background-color: ${color};
-        cursor: pointer;
-        transition: opacity 0.2s;
-      `;
-    // Add click handler to scroll to paragraph
-    segment.addEventListener('click', () => {
-      paragraph.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      // Flash highlight effect
-      const originalBg = paragraph.style.backgroundColor;
-      paragraph.style.backgroundColor = 'rgba(79, 151, 255, 0.2)';
-      setTimeout(() => {
-        paragraph.style.backgroundColor = originalBg;
-      }, 1500);
-    });
+    }, 1500));
+  }
+
+  /**
+   * Remove overlay tints, badges and pending flashes
+   * @private
+   */
+  clearOverlay() {
+    this.flashTimers.forEach(timer => clearTimeout(timer));
+    this.flashTimers.clear();
     
-    // Add tooltip with engagement data
-    segment.title = `${Math.round(data.timeSpent)}ms spent on this paragraph`;
+    [...this.savedStyles.keys()].forEach(element => this.restoreInlineStyle(element));
     
-    fragment.appendChild(segment);
-  });
-  
-  // Add current viewport indicator
-  const viewportIndicator = document.createElement('div');
-  viewportIndicator.className = 'viewport-indicator';
-  viewportIndicator.style.cssText = `
-    position: absolute;
-    top: ${window.scrollY / docHeight * 100}%;
-    left: -5px;
-    width: 5px;
-    height: ${window.innerHeight / docHeight * 100}%;
-    background-color: rgba(255, 255, 255, 0.7);
-    border: 1px solid #333;
-    pointer-events: none;
-  `;
-  fragment.appendChild(viewportIndicator);
-  
-  // Efficient DOM update
-  this.heatmapContainer.appendChild(fragment);
-  
-  // Update viewport indicator on scroll
-  const updateViewportIndicator = () => {
-    const indicator = this.heatmapContainer.querySelector('.viewport-indicator');
-    if (indicator) {
-      indicator.style.top = `${window.scrollY / docHeight * 100}%`;
+    if (this.overlayLayer) {
+      this.overlayLayer.remove();
+      this.overlayLayer = null;
     }
-  };
-  
-  // Add scroll listener if not already added
-  if (!this._scrollListenerAdded) {
-    window.addEventListener('scroll', updateViewportIndicator, { passive: true });
-    this._scrollListenerAdded = true;
   }
-}
 
   /**
    * Hide the heatmap
    */
   hideHeatmap() {
+    if (!this.heatmapVisible && !this.heatmapContainer) return;
+    
+    if (this.heatmapUpdateRequest) {
+      cancelAnimationFrame(this.heatmapUpdateRequest);
+      this.heatmapUpdateRequest = null;
+    }
+    
+    this.clearOverlay();
+    
     if (this.heatmapContainer) {
       if (this.options.heatmapContainer) {
         // Clear container if user-provided
@@ -654,31 +3618,39 @@ class HighlightTracker extends EventEmitter {
         // Remove container if we created it
         this.heatmapContainer.style.display = 'none';
       }
-      this.heatmapVisible = false;
-      this.emit('heatmapHidden');
     }
+    this.heatmapVisible = false;
+    this.emit('heatmapHidden');
   }
 
   /**
    * Export engagement data
-   * @returns {Object} - Engagement data keyed by paragraph ID
+   * @param {Object} [options] - Export options
+   * @param {string} [options.article] - Only export the blocks of this article
+   * @param {boolean} [options.legacy=false] - Return the 1.x shape instead: a flat map of block
+   *   records keyed by block ID, each with the block's current `visibleRatio`
+   * @returns {Object} - Payload of the current schema version, documented in export-format.js:
+   *   session metadata, block IDs in page order, engagement data keyed by block ID, attention
+   *   totals, reading progress, per-article summaries and the timeline when enabled
    */
-  exportData() {
+  exportData({ article = null, legacy = false } = {}) {
     const result = {};
     const now = performance.now();
     
+    this.updateAttention(now);
+    // Final time update, accrued the same way as while tracking
+    this.engine.updateAll(now);
+    
     this.paragraphs.forEach(element => {
       const data = this.engagementData.get(element);
       if (!data) return;
       
-      // Final time update
-      if (data.lastUpdate && this.isTracking) {
-        const delta = now - data.lastUpdate;
-        if (data.visibleRatio >= this.options.visibilityThreshold) {
-          data.timeSpent += delta * data.visibleRatio;
-          data.weightedTime += delta * data.visibleRatio;
-        }
-      }
+      this.handleAccrued(element, data);
+      
+      const articleId = (this.getArticle(element) || {}).id || null;
+      if (article !== null && articleId !== article) return;
+      
+      const reading = this.classifyReading(data);
       
       // Apply minimum threshold
       const adjustedTime = Math.max(
@@ -687,11 +3659,24 @@ class HighlightTracker extends EventEmitter {
       );
       
       result[element.dataset.highlightId] = {
+        kind: data.kind,
+        article: articleId,
+        wordCount: data.wordCount,
+        reading: reading.label,
+        readingSpeed: reading.wpm === null ? null : Math.round(reading.wpm),
         rawTime: Math.round(data.timeSpent),
         adjustedTime: Math.round(adjustedTime),
         weightedTime: Math.round(data.weightedTime),
+        score: Math.round(this.engine.score(element.dataset.highlightId) * 1000) / 1000,
         text: this.sanitizeText(element.textContent),
-        visibleRatio: data.visibleRatio,
+        maxRatio: data.maxRatio,
+        ...(legacy && { visibleRatio: data.visibleRatio }),
+        interactions: {
+          selections: data.selections,
+          copies: data.copies,
+          shares: data.shares,
+          ...(this.options.interactions.offsets && { ranges: data.ranges.slice() })
+        },
         element: {
           tagName: element.tagName,
           className: element.className
@@ -699,20 +3684,125 @@ class HighlightTracker extends EventEmitter {
       };
     });
     
-    return result;
+    if (legacy) {
+      return result;
+    }
+    
+    const order = this.getGeometry().blocks
+      .map(({ element }) => element.dataset.highlightId)
+      .filter(id => id in result);
+    
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      session: {
+        ...this.session,
+        exportedAt: Date.now(),
+        viewport: { width: window.innerWidth, height: window.innerHeight }
+      },
+      order,
+      blocks: result,
+      attention: {
+        activeTime: Math.round(this.attention.activeTime),
+        idleTime: Math.round(this.attention.idleTime)
+      },
+      progress: this.getProgress({ article }),
+      ...(this.articles.size > 0 && { articles: this.exportArticles(result, now, article) }),
+      ...(this.options.timeline.enabled && { timeline: this.getTimeline() })
+    };
+  }
+
+  /**
+   * Export engagement data in a serialized format
+   * @param {string} [format='json'] - 'json', 'csv' or 'ndjson'
+   * @param {Object} [options] - Options of `exportData()`
+   * @returns {string} - Serialized payload
+   */
+  exportAs(format = 'json', options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new RangeError(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return serializeExport(this.exportData(options), format);
+  }
+
+  /**
+   * Load a saved export into the tracker, e.g. to view its heatmap offline
+   * Blocks are matched by ID against the blocks found by `init()`, so the same
+   * content must be loaded. Tracking is stopped, current data is replaced, and
+   * imported data is never written to persistence. Starting tracking again
+   * discards it and restores the reader's own persisted data.
+   * @param {string|Object} input - `exportData()` result, or its JSON or NDJSON serialization
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format='json'] - Format of a serialized input: 'json' or 'ndjson'
+   * @returns {Object} - `{ matched, total }`: blocks found on the page and blocks in the export
+   */
+  importData(input, { format = 'json' } = {}) {
+    const payload = parseExport(input, format);
+    
+    this.stopTracking();
+    // Keeps checkpoint() from saving imported data over the reader's own
+    this.restoreComplete = false;
+    this.imported = true;
+    // Drops the result of a restore still loading
+    this.restoreToken++;
+    this.maxEngagement = 0;
+    let matched = 0;
+    
+    this.paragraphs.forEach(element => {
+      const data = this.createEngagementRecord(element);
+      const block = payload.blocks[element.dataset.highlightId];
+      
+      if (block) {
+        const interactions = block.interactions || {};
+        data.timeSpent = block.rawTime || 0;
+        data.weightedTime = block.weightedTime || 0;
+        data.maxRatio = block.maxRatio || 0;
+        data.selections = interactions.selections || 0;
+        data.copies = interactions.copies || 0;
+        data.shares = interactions.shares || 0;
+        data.ranges = interactions.ranges ? interactions.ranges.slice() : [];
+        this.maxEngagement = Math.max(this.maxEngagement, data.timeSpent);
+        matched++;
+      }
+      
+      this.setEngagementRecord(element, data);
+    });
+    
+    const attention = payload.attention || {};
+    this.attention = {
+      activeTime: attention.activeTime || 0,
+      idleTime: attention.idleTime || 0,
+      since: null
+    };
+    this.visibleBlocks.clear();
+    this.engagedBlocks.clear();
+    this.timeline = payload.timeline ? payload.timeline.intervals.slice() : [];
+    this.timelineDropped = payload.timeline ? payload.timeline.dropped || 0 : 0;
+    
+    const total = Object.keys(payload.blocks).length;
+    this.emit('imported', { matched, total, session: payload.session || null });
+    
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+    
+    return { matched, total };
   }
 
   /**
-   * Sanitize text for safe export
+   * Sanitize text for safe export, following `privacy.text`
    * @param {string} text - Raw text
-   * @returns {string} - Sanitized text
+   * @returns {string|null} - Sanitized text, its hash, or null when text is excluded
    * @private
    */
   sanitizeText(text) {
+    const { text: mode, textLength } = this.options.privacy;
+    
+    if (mode === 'none') return null;
     if (!text) return '';
+    if (mode === 'hash') return hashString(normalizeText(text));
     
     // Basic XSS protection
-    return text.substring(0, 100)
+    return text.substring(0, textLength)
       .replace(/</g, '&lt;')
       .replace(/>/g, '&gt;')
       .trim();
@@ -726,6 +3816,10 @@ class HighlightTracker extends EventEmitter {
       // Stop tracking
       this.stopTracking();
       
+      if (this.replayController) {
+        this.replayController.stop();
+      }
+      
       // Clean up observers
       if (this.observer) {
         this.observer.disconnect();
@@ -743,12 +3837,46 @@ class HighlightTracker extends EventEmitter {
         this.mutationObserver = null;
       }
       
+      this.unwatchFrames();
+      
       // Remove event listeners
       document.removeEventListener('visibilitychange', this.handleVisibilityChange);
       window.removeEventListener('beforeunload', this.handleUnload);
+      window.removeEventListener('pagehide', this.handlePageHide);
+      window.removeEventListener('blur', this.handleBlur);
+      window.removeEventListener('focus', this.handleActivity);
+      ACTIVITY_EVENTS.forEach(type => {
+        window.removeEventListener(type, this.handleActivity);
+      });
+      document.removeEventListener('selectionchange', this.handleSelectionChange);
+      document.removeEventListener('copy', this.handleCopy);
+      document.removeEventListener('click', this.handleShareClick);
+      window.removeEventListener(NAVIGATION_EVENT, this.handleNavigation);
+      window.removeEventListener('popstate', this.handleNavigation);
+      if (this.historyPatched) {
+        unpatchHistory();
+        this.historyPatched = false;
+      }
+      clearTimeout(this.selectionTimer);
+      clearTimeout(this.blurTimer);
+      clearTimeout(this.navigationTimer);
+      this.navigationTimer = null;
+      
+      if (this.transport) {
+        this.transport.stop();
+      }
+      
+      this.removeScrollListeners();
+      this.removeHeatmapScrollListener();
+      this.visibleBlocks.clear();
+      
+      if (this.canvasRenderer) {
+        this.canvasRenderer.destroy();
+        this.canvasRenderer = null;
+      }
       
-      if (this._scrollListenerAdded) {
-        window.removeEventListener('scroll', this.updateViewportIndicator);
+      if (this.heatmapContainer) {
+        this.heatmapContainer.removeEventListener('click', this.handleStripClick);
       }
       
       // Remove DOM elements - only if we created it
@@ -759,12 +3887,16 @@ class HighlightTracker extends EventEmitter {
       }
       this.heatmapContainer = null;
       
+      // Restore styles changed by the overlay and flash effect
+      this.clearOverlay();
+      
       // Clear timeouts
       clearTimeout(this.resizeTimeout);
       
       // Clear references
       this.paragraphs = [];
       this.engagementData = new WeakMap();
+      this.engine.clear();
       
       // Cancel any pending heatmap updates
       if (this.heatmapUpdateRequest) {
@@ -779,46 +3911,154 @@ class HighlightTracker extends EventEmitter {
   }
 
   /**
-   * Handle DOM mutations that might affect tracked paragraphs
-   * @param {MutationRecord} mutation - The mutation record
+   * Start tracking every block inside an added subtree
+   * Shadow roots and frames inside the subtree are searched and observed too.
+   * @param {Node} node - Root of the added subtree
    * @private
    */
-  handleDOMChanges(mutation) {
-    // Check added nodes for new paragraphs
-    mutation.addedNodes.forEach(node => {
-      if (node.nodeName === 'P') {
-        // Add new paragraph to tracking
-        const id = `p-${Date.now()}-${this.paragraphs.length}`;
-        node.dataset.highlightId = id;
-        this.paragraphs.push(node);
-        this.engagementData.set(node, {
-          visibleRatio: 0,
-          timeSpent: 0,
-          weightedTime: 0,
-          lastUpdate: this.isTracking ? performance.now() : null,
-          inView: false
-        });
-        this.observer.observe(node);
+  discoverBlocks(node) {
+    if (node.nodeType !== 1 || this.isOwnNode(node)) return;
+    
+    this.discoverArticles(node);
+    if (this.isTrackable(node)) {
+      this.trackBlock(node);
+    }
+    
+    this.collectSearchRoots(node).forEach((root, index) => {
+      // Nested roots aren't covered by the existing observers
+      if (index > 0 && !this.searchRoots.includes(root)) {
+        this.searchRoots.push(root);
+        this.observeMutations(root);
       }
+      this.queryBlocks(root).forEach(block => this.trackBlock(block));
     });
+  }
 
-    // Check removed nodes for tracked paragraphs
-    mutation.removedNodes.forEach(node => {
-      if (node.nodeName === 'P' && node.dataset.highlightId) {
-        // Remove paragraph from tracking
-        const index = this.paragraphs.findIndex(p => p.dataset.highlightId === node.dataset.highlightId);
-        if (index !== -1) {
-          this.paragraphs.splice(index, 1);
-          this.engagementData.delete(node);
-        }
-      }
+  /**
+   * Untrack blocks that left the DOM or the container
+   * Checking connectivity after the fact keeps blocks that were merely moved
+   * within the container, along with their data.
+   * @private
+   */
+  removeDetachedBlocks() {
+    this.paragraphs
+      .filter(block => !block.isConnected || !this.isInContainer(block))
+      .forEach(block => this.untrackBlock(block));
+    
+    [...this.articles.keys()]
+      .filter(element => !element.isConnected || !this.isInContainer(element))
+      .forEach(element => this.removeArticle(element));
+    this.updateArticleStates();
+    
+    this.searchRoots = this.searchRoots.filter(root => root.isConnected);
+  }
+
+  /**
+   * Check whether a node is inside the container, across shadow and frame boundaries
+   * @param {Node} node - Node to check
+   * @returns {boolean} - True if the container is an ancestor
+   * @private
+   */
+  isInContainer(node) {
+    let current = node;
+    while (current) {
+      if (current === this.container) return true;
+      current = current.parentNode ||
+        current.host ||
+        (current.defaultView && current.defaultView.frameElement) ||
+        null;
+    }
+    return false;
+  }
+
+  /**
+   * Find the tracked block a node belongs to
+   * @param {Node} node - Node inside a block
+   * @returns {HTMLElement|null} - Closest tracked ancestor (or the node itself)
+   * @private
+   */
+  findTrackedBlock(node) {
+    let current = node;
+    while (current && current.nodeType !== 11 && current.nodeType !== 9) {
+      if (this.engagementData.has(current)) return current;
+      current = current.parentNode;
+    }
+    return null;
+  }
+
+  /**
+   * React to a block's text being edited
+   * Generated IDs are derived from the text, so an edit that changes the ID
+   * makes it a different block: the old one is removed and a new one added.
+   * Blocks with author-supplied IDs keep their identity and data.
+   * @param {HTMLElement} element - Edited block
+   * @private
+   */
+  refreshBlock(element) {
+    const data = this.engagementData.get(element);
+    if (!data) return;
+    
+    data.wordCount = countWords(element.textContent);
+    if (!('highlightAuto' in element.dataset)) return;
+    
+    const currentId = element.dataset.highlightId;
+    const baseId = createBlockId(element, {
+      strategy: this.options.idStrategy,
+      root: this.container
     });
+    if (currentId === baseId || currentId.startsWith(`${baseId}-`)) return;
+    
+    this.untrackBlock(element, 'textChanged');
+    this.trackBlock(element);
+  }
 
+  /**
+   * Handle DOM mutations inside the container
+   * @param {MutationRecord[]} mutations - Batched mutation records
+   * @private
+   */
+  handleDOMChanges = (mutations) => {
+    const added = [];
+    const editedBlocks = new Set();
+    let removed = false;
+    
+    mutations.forEach(mutation => {
+      if (this.isOwnNode(mutation.target)) return;
+      
+      // Text edits and child changes inside a block alter its content
+      const block = this.findTrackedBlock(mutation.target);
+      if (block) {
+        editedBlocks.add(block);
+      }
+      
+      if (mutation.type === 'childList') {
+        added.push(...mutation.addedNodes);
+        removed = removed || mutation.removedNodes.length > 0;
+      }
+    });
+    
+    if (added.length === 0 && !removed && editedBlocks.size === 0) return;
+    
+    // Check removed subtrees for tracked blocks
+    if (removed) {
+      this.removeDetachedBlocks();
+    }
+    
+    // Check added subtrees for new blocks, skipping those removed again in the same batch
+    added
+      .filter(node => node.isConnected && this.isInContainer(node))
+      .forEach(node => this.discoverBlocks(node));
+    
+    editedBlocks.forEach(block => this.refreshBlock(block));
+    
+    this.invalidateGeometry();
+    
     // Update heatmap if visible using buffered update
     if (this.heatmapVisible) {
       this.updateHeatmap();
     }
-  }
+  };
 }
 
+export { aggregateExports, serializeExport, parseExport, EngagementEngine, scoreBlock, SCORING_MODELS };
 export default HighlightTracker;
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * Observer polyfills for older browsers
+ *
+ * The tracker needs IntersectionObserver and ResizeObserver. Import this
+ * module before the tracker to install them where they are missing:
+ *
+ *   import 'paragraph-highlight-tracker/polyfills';
+ *   import HighlightTracker from 'paragraph-highlight-tracker';
+ *
+ * Both polyfills are optional peer dependencies and have to be installed
+ * alongside the tracker. The prebuilt bundle already includes them.
+ */
+import 'intersection-observer';
+import ResizeObserverPolyfill from 'resize-observer-polyfill';
+
+// resize-observer-polyfill is a ponyfill, it doesn't install itself
+if (typeof window !== 'undefined' && typeof window.ResizeObserver === 'undefined') {
+  window.ResizeObserver = ResizeObserverPolyfill;
+}
@@ -0,0 +1,186 @@
+/**
+ * ReplayController - Plays a recorded reading-path timeline back on the heatmap
+ *
+ * Segments are shaded by the dwell time accumulated up to the playback
+ * position, scored like live data, and the viewport indicator follows the
+ * block being read. All state changes are reported as events on the tracker.
+ */
+class ReplayController {
+  /**
+   * Create a new replay
+   * @param {HighlightTracker} tracker - Tracker whose heatmap is animated
+   * @param {Object} timeline - Timeline from `getTimeline()` or an export
+   * @param {Object} [options] - Replay options
+   * @param {number} [options.speed=1] - Playback speed multiplier
+   * @param {boolean} [options.scrollPage=false] - Scroll the page along with the replay
+   * @param {number} [options.frameInterval=100] - Minimum wall time between rendered frames in ms
+   */
+  constructor(tracker, timeline, { speed = 1, scrollPage = false, frameInterval = 100 } = {}) {
+    if (!timeline || !Array.isArray(timeline.intervals)) {
+      throw new TypeError('Replay needs a timeline with an intervals array');
+    }
+
+    this.tracker = tracker;
+    this.intervals = [...timeline.intervals].sort((a, b) => a.enter - b.enter);
+    this.scrollPage = scrollPage;
+    this.frameInterval = frameInterval;
+    this.speed = ReplayController.validateSpeed(speed);
+
+    this.start = this.intervals.length > 0 ? this.intervals[0].enter : 0;
+    this.duration = this.intervals.reduce((end, interval) => Math.max(end, interval.exit), this.start) - this.start;
+    this.position = 0;
+    this.playing = false;
+    this.rafId = null;
+    this.lastTick = null;
+    this.lastFrame = 0;
+    this.activeId = null;
+  }
+
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (this.playing) return;
+
+    if (this.position >= this.duration) {
+      this.position = 0;
+    }
+    this.playing = true;
+    this.lastTick = null;
+    this.rafId = requestAnimationFrame(this.tick);
+    this.tracker.emit('replayStart', this.getState());
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.tracker.emit('replayPause', this.getState());
+  }
+
+  /**
+   * Jump to a position
+   * @param {number} position - Milliseconds since the start of the recording
+   */
+  seek(position) {
+    if (typeof position !== 'number' || Number.isNaN(position)) {
+      throw new TypeError('Seek position must be a number');
+    }
+
+    this.position = Math.min(Math.max(position, 0), this.duration);
+    this.render();
+    this.tracker.emit('replaySeek', this.getState());
+  }
+
+  /**
+   * Change the playback speed
+   * @param {number} speed - Speed multiplier, e.g. 2 for double speed
+   */
+  setSpeed(speed) {
+    this.speed = ReplayController.validateSpeed(speed);
+    this.tracker.emit('replaySpeed', this.getState());
+  }
+
+  /**
+   * Validate a speed multiplier
+   * @param {number} speed - Speed multiplier
+   * @returns {number} - The valid speed
+   * @private
+   */
+  static validateSpeed(speed) {
+    if (typeof speed !== 'number' || !(speed > 0)) {
+      throw new RangeError('Replay speed must be a positive number');
+    }
+    return speed;
+  }
+
+  /**
+   * Stop playback and return the heatmap to live data
+   */
+  stop() {
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.playing = false;
+    this.tracker.endReplay(this);
+  }
+
+  /**
+   * Get the playback state
+   * @returns {Object} - `{ position, duration, speed, playing, blockId }`
+   */
+  getState() {
+    return {
+      position: this.position,
+      duration: this.duration,
+      speed: this.speed,
+      playing: this.playing,
+      blockId: this.activeId
+    };
+  }
+
+  /**
+   * Animation frame handler
+   * @param {number} timestamp - Frame timestamp
+   * @private
+   */
+  tick = (timestamp) => {
+    if (!this.playing) return;
+
+    if (this.lastTick !== null) {
+      this.position = Math.min(this.position + (timestamp - this.lastTick) * this.speed, this.duration);
+    }
+    this.lastTick = timestamp;
+
+    const finished = this.position >= this.duration;
+    if (finished || timestamp - this.lastFrame >= this.frameInterval) {
+      this.lastFrame = timestamp;
+      this.render();
+      this.tracker.emit('replayProgress', this.getState());
+    }
+
+    if (finished) {
+      this.playing = false;
+      this.rafId = null;
+      this.tracker.emit('replayEnd', this.getState());
+      return;
+    }
+
+    this.rafId = requestAnimationFrame(this.tick);
+  };
+
+  /**
+   * Draw the frame for the current position
+   * @private
+   */
+  render() {
+    const now = this.start + this.position;
+    const values = new Map();
+    let active = null;
+
+    for (const interval of this.intervals) {
+      if (interval.enter > now) break;
+
+      const dwell = Math.min(interval.exit, now) - interval.enter;
+      const totals = values.get(interval.blockId) || { timeSpent: 0, weightedTime: 0 };
+      totals.timeSpent += dwell;
+      // Intervals only record their peak ratio, so weighted time is an upper bound
+      totals.weightedTime += dwell * (interval.maxRatio ?? 1);
+      values.set(interval.blockId, totals);
+
+      // The most recently entered block that is still in view is being read
+      if (interval.exit >= now) {
+        active = interval.blockId;
+      }
+    }
+
+    this.activeId = active;
+    this.tracker.renderReplayFrame(values, active, { scrollPage: this.scrollPage });
+  }
+}
+
+export default ReplayController;
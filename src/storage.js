@@ -0,0 +1,257 @@
+/**
+ * Persistence adapters used to save and resume engagement across page loads
+ *
+ * Every adapter implements the same asynchronous interface:
+ *   - load(key)         => Promise<Object|null>
+ *   - save(key, value)  => Promise<void>
+ *   - remove(key)       => Promise<void>
+ * Any object providing these three methods can be passed as a custom adapter.
+ */
+
+/**
+ * Version of the persisted snapshot format
+ * @type {number}
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Adapter backed by window.localStorage
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {Storage} [storage=window.localStorage] - Storage implementation
+   */
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - Stored value or null
+   */
+  async load(key) {
+    const raw = this.storage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Save a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Adapter keeping values in memory, used when browser storage is unavailable
+ * Values only last as long as the page.
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.values = new Map();
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - Stored value or null
+   */
+  async load(key) {
+    const raw = this.values.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Save a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    this.values.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * Adapter backed by IndexedDB, for larger documents or many articles
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.dbName='highlight-tracker'] - Database name
+   * @param {string} [options.storeName='engagement'] - Object store name
+   */
+  constructor({ dbName = 'highlight-tracker', storeName = 'engagement' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and lazily create) the database
+   * @returns {Promise<IDBDatabase>} - Open database
+   * @private
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request inside a transaction
+   * Settles once the transaction commits: a successful request can still be
+   * rolled back, e.g. when the quota is exceeded or the page unloads.
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   * @private
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      const fail = () => reject(transaction.error || request.error || new Error('IndexedDB transaction aborted'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = fail;
+      transaction.onabort = fail;
+    });
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - Stored value or null
+   */
+  async load(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value ?? null;
+  }
+
+  /**
+   * Save a value
+   * @param {string} key - Storage key
+   * @param {Object} value - Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Remove a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Resolve the `adapter` persistence option into an adapter instance
+ * Sandboxed iframes and some privacy modes throw when localStorage is
+ * accessed; a MemoryAdapter is used instead.
+ * @param {string|Object} adapter - 'localStorage', 'indexedDB' or a custom adapter
+ * @param {Function} [onUnavailable] - Called with the access error when falling back to memory
+ * @returns {Object} - Storage adapter
+ */
+export function createStorageAdapter(adapter, onUnavailable = () => {}) {
+  if (adapter === 'localStorage') {
+    try {
+      return new LocalStorageAdapter(window.localStorage);
+    } catch (error) {
+      onUnavailable(error);
+      return new MemoryAdapter();
+    }
+  }
+
+  if (adapter === 'indexedDB') {
+    return new IndexedDBAdapter();
+  }
+
+  if (adapter && ['load', 'save', 'remove'].every(method => typeof adapter[method] === 'function')) {
+    return adapter;
+  }
+
+  throw new TypeError("persistence.adapter must be 'localStorage', 'indexedDB' or an object with load, save and remove methods");
+}
+
+/**
+ * Check whether a stored snapshot is usable
+ * @param {Object|null} snapshot - Stored snapshot
+ * @param {number} maxAge - Maximum age in ms
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} - True if the snapshot is current and not expired
+ */
+export function isSnapshotValid(snapshot, maxAge, now = Date.now()) {
+  return Boolean(
+    snapshot &&
+    snapshot.version === SNAPSHOT_VERSION &&
+    snapshot.blocks &&
+    now - snapshot.savedAt <= maxAge
+  );
+}
+
+/**
+ * Get the UTF-8 size of a value's JSON serialization
+ * @param {*} value - JSON-serializable value
+ * @returns {number} - Size in bytes
+ */
+function jsonByteLength(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Shrink a snapshot until its serialized size fits the cap
+ * Blocks with the least time spent are dropped first.
+ * @param {Object} snapshot - Snapshot to cap
+ * @param {number} maxBytes - Maximum serialized size in UTF-8 bytes
+ * @returns {Object} - Snapshot within the size cap
+ */
+export function capSnapshot(snapshot, maxBytes) {
+  let size = jsonByteLength(snapshot);
+  if (size <= maxBytes) return snapshot;
+
+  const entries = Object.entries(snapshot.blocks)
+    .sort((a, b) => b[1].timeSpent - a[1].timeSpent);
+
+  while (entries.length > 0 && size > maxBytes) {
+    const [id, block] = entries.pop();
+    // Account for the `"id":{...},` wrapper around each entry
+    size -= jsonByteLength(id) + jsonByteLength(block) + 2;
+  }
+
+  return { ...snapshot, blocks: Object.fromEntries(entries) };
+}
@@ -0,0 +1,540 @@
+/**
+ * Testing kit - deterministic fakes for writing tests against the tracker
+ *
+ * Replaces the browser APIs the tracker reads (performance.now, timers,
+ * requestAnimationFrame, IntersectionObserver, ResizeObserver and
+ * MutationObserver) with controllable fakes driven by a virtual clock.
+ * Meant for jsdom or any other DOM implementation:
+ *
+ *   import HighlightTracker from 'paragraph-highlight-tracker';
+ *   import { installTestEnvironment, recordEvents } from 'paragraph-highlight-tracker/testing';
+ *
+ *   const env = installTestEnvironment();
+ *   const tracker = new HighlightTracker();
+ *   const events = recordEvents(tracker, ['blockEnter', 'blockExit']);
+ *   tracker.init('#article');
+ *   tracker.startTracking();
+ *
+ *   env.setVisibility(blocks[2], 0.8);
+ *   env.advance(5000);
+ *   env.setTabVisible(false);
+ *   // assert on tracker.exportData() and events
+ *
+ *   tracker.destroy();
+ *   env.uninstall();
+ *
+ * Importing this module has no side effects, nothing is replaced until
+ * `installTestEnvironment()` is called.
+ */
+
+/**
+ * Interval between animation frames on the virtual clock, in ms
+ * @type {number}
+ */
+const FRAME_INTERVAL = 16;
+
+/**
+ * Virtual clock with timers and animation frames
+ * Time only moves when `advance()` is called; due callbacks run in order.
+ */
+export class VirtualClock {
+  /**
+   * Create a new clock
+   * @param {number} [start=0] - Initial time in ms
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Get the current time
+   * @returns {number} - Time in ms
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Get the number of scheduled callbacks
+   * @returns {number} - Pending timers and frames
+   */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /**
+   * Schedule a callback
+   * @param {Object} timer - `{ callback, at, args, interval, frame }`
+   * @returns {number} - Timer ID
+   * @private
+   */
+  schedule(timer) {
+    const id = this.nextId++;
+    this.timers.set(id, timer);
+    return id;
+  }
+
+  /**
+   * Virtual `setTimeout`
+   * @type {Function}
+   */
+  setTimeout = (callback, delay = 0, ...args) => this.schedule({
+    callback,
+    args,
+    at: this.time + Math.max(Number(delay) || 0, 0),
+    interval: null,
+    frame: false
+  });
+
+  /**
+   * Virtual `setInterval`
+   * @type {Function}
+   */
+  setInterval = (callback, delay = 0, ...args) => {
+    const interval = Math.max(Number(delay) || 0, 1);
+    return this.schedule({ callback, args, at: this.time + interval, interval, frame: false });
+  };
+
+  /**
+   * Virtual `requestAnimationFrame`, frames are aligned to 16ms
+   * @type {Function}
+   */
+  requestAnimationFrame = callback => this.schedule({
+    callback,
+    args: [],
+    at: (Math.floor(this.time / FRAME_INTERVAL) + 1) * FRAME_INTERVAL,
+    interval: null,
+    frame: true
+  });
+
+  /**
+   * Cancel a timeout, interval or animation frame
+   * @type {Function}
+   */
+  clearTimeout = (id) => {
+    this.timers.delete(id);
+  };
+
+  /**
+   * Virtual `clearInterval`
+   * @type {Function}
+   */
+  clearInterval = this.clearTimeout;
+
+  /**
+   * Virtual `cancelAnimationFrame`
+   * @type {Function}
+   */
+  cancelAnimationFrame = this.clearTimeout;
+
+  /**
+   * Move time forward, running every callback that comes due
+   * @param {number} ms - Time to advance in ms
+   */
+  advance(ms) {
+    if (typeof ms !== 'number' || !(ms >= 0)) {
+      throw new RangeError('advance() needs a non-negative number of ms');
+    }
+
+    const target = this.time + ms;
+    // A callback rescheduling itself with no delay would never let time move
+    let budget = 1e6;
+
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.at <= target && (!next || timer.at < next.at)) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next) break;
+
+      if (--budget === 0) {
+        throw new Error('Too many timers ran in one advance(), is a callback rescheduling itself with no delay?');
+      }
+
+      this.time = next.at;
+      if (next.interval) {
+        next.at += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+
+      if (next.frame) {
+        next.callback(this.time);
+      } else {
+        next.callback(...next.args);
+      }
+    }
+
+    this.time = target;
+  }
+}
+
+/**
+ * IntersectionObserver fake
+ * Nothing is observed automatically; visibility is set by calling `trigger()`
+ * or `FakeIntersectionObserver.setVisibility()`.
+ */
+export class FakeIntersectionObserver {
+  /**
+   * Live instances
+   * @type {Set<FakeIntersectionObserver>}
+   */
+  static instances = new Set();
+
+  /**
+   * Report a visibility change to every observer watching an element
+   * @param {Element} target - Observed element
+   * @param {number} ratio - Visible ratio (0-1)
+   * @returns {number} - Number of observers notified
+   */
+  static setVisibility(target, ratio) {
+    let notified = 0;
+    FakeIntersectionObserver.instances.forEach(observer => {
+      if (observer.trigger(target, ratio)) {
+        notified++;
+      }
+    });
+    return notified;
+  }
+
+  constructor(callback, { root = null, rootMargin = '0px', threshold = 0 } = {}) {
+    this.callback = callback;
+    this.root = root;
+    this.rootMargin = rootMargin;
+    this.thresholds = [].concat(threshold);
+    this.targets = new Set();
+    FakeIntersectionObserver.instances.add(this);
+  }
+
+  observe(target) {
+    this.targets.add(target);
+  }
+
+  unobserve(target) {
+    this.targets.delete(target);
+  }
+
+  disconnect() {
+    this.targets.clear();
+    FakeIntersectionObserver.instances.delete(this);
+  }
+
+  takeRecords() {
+    return [];
+  }
+
+  /**
+   * Deliver an entry for an observed element
+   * @param {Element} target - Observed element
+   * @param {number} ratio - Visible ratio (0-1)
+   * @returns {boolean} - False if the element isn't observed
+   */
+  trigger(target, ratio) {
+    if (!this.targets.has(target)) return false;
+
+    const rect = target.getBoundingClientRect();
+    this.callback([{
+      target,
+      intersectionRatio: ratio,
+      isIntersecting: ratio > 0,
+      time: performance.now(),
+      boundingClientRect: rect,
+      intersectionRect: rect,
+      rootBounds: null
+    }], this);
+    return true;
+  }
+}
+
+/**
+ * ResizeObserver fake
+ * Resizes are reported by calling `trigger()` or `FakeResizeObserver.resizeAll()`.
+ */
+export class FakeResizeObserver {
+  /**
+   * Live instances
+   * @type {Set<FakeResizeObserver>}
+   */
+  static instances = new Set();
+
+  /**
+   * Report a resize of every observed element
+   * @returns {number} - Number of observers notified
+   */
+  static resizeAll() {
+    let notified = 0;
+    FakeResizeObserver.instances.forEach(observer => {
+      if (observer.trigger()) {
+        notified++;
+      }
+    });
+    return notified;
+  }
+
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = new Set();
+    FakeResizeObserver.instances.add(this);
+  }
+
+  observe(target) {
+    this.targets.add(target);
+  }
+
+  unobserve(target) {
+    this.targets.delete(target);
+  }
+
+  disconnect() {
+    this.targets.clear();
+    FakeResizeObserver.instances.delete(this);
+  }
+
+  /**
+   * Deliver entries for observed elements
+   * @param {Element[]} [targets] - Resized elements, defaults to all observed ones
+   * @returns {boolean} - False if none of the elements is observed
+   */
+  trigger(targets = [...this.targets]) {
+    const entries = targets
+      .filter(target => this.targets.has(target))
+      .map(target => ({ target, contentRect: target.getBoundingClientRect() }));
+    if (entries.length === 0) return false;
+
+    this.callback(entries, this);
+    return true;
+  }
+}
+
+/**
+ * Create a MutationObserver fake class
+ * Records from the DOM implementation's own observer are buffered and only
+ * delivered on `flush()`, so tests decide when mutations are handled.
+ * @param {Function|undefined} RealMutationObserver - The environment's MutationObserver
+ * @returns {Function} - Fake class
+ */
+function createFakeMutationObserver(RealMutationObserver) {
+  return class FakeMutationObserver {
+    /**
+     * Live instances
+     * @type {Set<FakeMutationObserver>}
+     */
+    static instances = new Set();
+
+    constructor(callback) {
+      this.callback = callback;
+      this.pending = [];
+      this.real = RealMutationObserver
+        ? new RealMutationObserver(records => this.pending.push(...records))
+        : null;
+      FakeMutationObserver.instances.add(this);
+    }
+
+    observe(target, options) {
+      if (this.real) {
+        this.real.observe(target, options);
+      }
+    }
+
+    disconnect() {
+      if (this.real) {
+        this.real.disconnect();
+      }
+      this.pending = [];
+      FakeMutationObserver.instances.delete(this);
+    }
+
+    takeRecords() {
+      const records = [...this.pending, ...(this.real ? this.real.takeRecords() : [])];
+      this.pending = [];
+      return records;
+    }
+
+    /**
+     * Deliver buffered records
+     * @returns {boolean} - False if there was nothing to deliver
+     */
+    flush() {
+      const records = this.takeRecords();
+      if (records.length === 0) return false;
+
+      this.callback(records, this);
+      return true;
+    }
+
+    /**
+     * Deliver synthetic records
+     * @param {Object[]} records - Mutation records
+     */
+    trigger(records) {
+      this.callback(records, this);
+    }
+  };
+}
+
+/**
+ * Record events emitted by a tracker
+ * @param {EventEmitter} emitter - Tracker or any emitter
+ * @param {string[]} names - Event names to record
+ * @returns {Object[]} - Live log of `{ type, payload, time }`
+ */
+export function recordEvents(emitter, names) {
+  const log = [];
+  names.forEach(type => {
+    emitter.on(type, payload => log.push({ type, payload, time: performance.now() }));
+  });
+  return log;
+}
+
+/**
+ * Replace the browser APIs the tracker reads with fakes
+ * @param {Object} [options] - Environment options
+ * @param {number} [options.start=0] - Initial `performance.now()` value in ms
+ * @param {number} [options.epoch=1704067200000] - `Date.now()` at the start, when faked
+ * @param {boolean} [options.timers=true] - Fake setTimeout and setInterval
+ * @param {boolean} [options.date=true] - Fake Date.now
+ * @returns {Object} - Environment with the `clock`, scenario helpers and `uninstall()`
+ */
+export function installTestEnvironment({
+  start = 0,
+  epoch = Date.UTC(2024, 0, 1),
+  timers = true,
+  date = true
+} = {}) {
+  const clock = new VirtualClock(start);
+  const targets = [globalThis];
+  if (typeof window !== 'undefined' && window !== globalThis) {
+    targets.push(window);
+  }
+
+  FakeIntersectionObserver.instances.clear();
+  FakeResizeObserver.instances.clear();
+  const FakeMutationObserver = createFakeMutationObserver(
+    typeof MutationObserver !== 'undefined' ? MutationObserver : undefined
+  );
+
+  const replacements = {
+    IntersectionObserver: FakeIntersectionObserver,
+    ResizeObserver: FakeResizeObserver,
+    MutationObserver: FakeMutationObserver,
+    requestAnimationFrame: clock.requestAnimationFrame,
+    cancelAnimationFrame: clock.cancelAnimationFrame
+  };
+  if (timers) {
+    Object.assign(replacements, {
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      setInterval: clock.setInterval,
+      clearInterval: clock.clearInterval
+    });
+  }
+
+  const restores = [];
+  const replace = (owner, key, value) => {
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    Object.defineProperty(owner, key, { configurable: true, writable: true, value });
+    restores.push(() => {
+      if (descriptor) {
+        Object.defineProperty(owner, key, descriptor);
+      } else {
+        delete owner[key];
+      }
+    });
+  };
+
+  targets.forEach(target => {
+    Object.entries(replacements).forEach(([key, value]) => replace(target, key, value));
+  });
+  new Set(targets.map(target => target.performance).filter(Boolean)).forEach(performance => {
+    replace(performance, 'now', () => clock.now());
+  });
+  if (date) {
+    replace(Date, 'now', () => epoch + clock.now() - start);
+  }
+
+  const getDocument = () => (typeof document !== 'undefined' ? document : null);
+
+  return {
+    clock,
+    FakeMutationObserver,
+
+    /**
+     * Move time forward, running due timers and animation frames
+     * @param {number} ms - Time to advance in ms
+     */
+    advance(ms) {
+      clock.advance(ms);
+    },
+
+    /**
+     * Set how much of an element is visible
+     * @param {Element} element - Observed element
+     * @param {number} ratio - Visible ratio (0-1)
+     * @returns {number} - Number of observers notified
+     */
+    setVisibility(element, ratio) {
+      return FakeIntersectionObserver.setVisibility(element, ratio);
+    },
+
+    /**
+     * Show or hide the tab and dispatch `visibilitychange`
+     * @param {boolean} visible - Whether the tab is visible
+     */
+    setTabVisible(visible) {
+      const doc = getDocument();
+      if (!doc) return;
+
+      Object.defineProperty(doc, 'visibilityState', {
+        configurable: true,
+        get: () => (visible ? 'visible' : 'hidden')
+      });
+      Object.defineProperty(doc, 'hidden', { configurable: true, get: () => !visible });
+      doc.dispatchEvent(new doc.defaultView.Event('visibilitychange'));
+    },
+
+    /**
+     * Report a resize of every observed element
+     * @returns {number} - Number of observers notified
+     */
+    resize() {
+      return FakeResizeObserver.resizeAll();
+    },
+
+    /**
+     * Deliver buffered DOM mutations to every MutationObserver
+     * @returns {number} - Number of observers notified
+     */
+    flushMutations() {
+      let notified = 0;
+      FakeMutationObserver.instances.forEach(observer => {
+        if (observer.flush()) {
+          notified++;
+        }
+      });
+      return notified;
+    },
+
+    /**
+     * Restore every replaced API
+     */
+    uninstall() {
+      restores.reverse().forEach(restore => restore());
+      restores.length = 0;
+
+      const doc = getDocument();
+      if (doc) {
+        delete doc.visibilityState;
+        delete doc.hidden;
+      }
+      FakeIntersectionObserver.instances.clear();
+      FakeResizeObserver.instances.clear();
+      FakeMutationObserver.instances.forEach(observer => observer.disconnect());
+    }
+  };
+}
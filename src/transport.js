@@ -0,0 +1,261 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Browsers refuse keepalive fetches whose body exceeds this size
+ * @type {number}
+ */
+const KEEPALIVE_LIMIT = 64 * 1024;
+
+/**
+ * Transport - Delivers tracking records to an endpoint
+ *
+ * Records are batched and flushed periodically or once `batchSize` is reached.
+ * While the page is being hidden or unloaded, batches go through
+ * `navigator.sendBeacon` with a keepalive fetch as fallback. Payloads that
+ * cannot be delivered are kept in a persisted retry queue that is drained when
+ * the browser comes back online.
+ * @extends EventEmitter
+ */
+class Transport extends EventEmitter {
+  /**
+   * Create a new Transport
+   * @param {Object} options - Transport options
+   * @param {string} options.endpoint - URL receiving POSTed JSON batches
+   * @param {number} [options.batchSize=10] - Flush once this many records are queued
+   * @param {number} [options.flushInterval=15000] - Periodic flush interval in ms
+   * @param {Object} [options.headers] - Extra headers for fetch requests (not supported by sendBeacon)
+   * @param {string} [options.queueKey='highlight-tracker:queue'] - localStorage key of the retry queue
+   * @param {number} [options.maxQueueSize=50] - Maximum number of payloads kept for retry
+   * @param {Function} [options.collect] - Called before each periodic flush; a returned record is queued
+   */
+  constructor({
+    endpoint,
+    batchSize = 10,
+    flushInterval = 15000,
+    headers = {},
+    queueKey = 'highlight-tracker:queue',
+    maxQueueSize = 50,
+    collect = null
+  } = {}) {
+    super();
+
+    if (typeof endpoint !== 'string' || !endpoint) {
+      throw new TypeError('transport.endpoint must be a non-empty string');
+    }
+
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.headers = headers;
+    this.queueKey = queueKey;
+    this.maxQueueSize = maxQueueSize;
+    this.collect = collect;
+
+    this.batch = [];
+    this.flushTimer = null;
+    this.draining = false;
+  }
+
+  /**
+   * Start periodic flushing and retry handling
+   */
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(this.handleInterval, this.flushInterval);
+    window.addEventListener('online', this.drainQueue);
+    this.drainQueue();
+  }
+
+  /**
+   * Stop periodic flushing
+   */
+  stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    window.removeEventListener('online', this.drainQueue);
+  }
+
+  /**
+   * Periodic flush handler
+   * @private
+   */
+  handleInterval = () => {
+    if (this.collect) {
+      const record = this.collect();
+      if (record) this.batch.push(record);
+    }
+    this.flush();
+  };
+
+  /**
+   * Queue a record for delivery
+   * @param {string} type - Record type
+   * @param {Object} [data] - Record data
+   */
+  enqueue(type, data) {
+    this.batch.push({ type, timestamp: Date.now(), data });
+
+    if (this.batch.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send all queued records
+   * @param {Object} [options] - Flush options
+   * @param {boolean} [options.unloading=false] - The page is being hidden or unloaded
+   * @returns {Promise<boolean>} - True if the batch was handed off successfully
+   */
+  async flush({ unloading = false } = {}) {
+    if (this.batch.length === 0) return true;
+
+    const records = this.batch;
+    this.batch = [];
+    const body = JSON.stringify({ sentAt: Date.now(), records });
+
+    const delivered = unloading
+      ? this.sendUnloading(body)
+      : await this.send(body);
+
+    if (delivered) {
+      this.emit('sent', { count: records.length });
+    } else {
+      this.persist(body);
+      this.emit('failed', { message: 'Failed to deliver tracking data, queued for retry', count: records.length });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Send a body with a regular fetch
+   * @param {string} body - Serialized payload
+   * @returns {Promise<boolean>} - True if the endpoint accepted it
+   * @private
+   */
+  async send(body) {
+    if (typeof fetch !== 'function') return false;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a body while the page goes away
+   * The outcome can't be awaited here, so a successful hand-off counts as delivered.
+   * @param {string} body - Serialized payload
+   * @returns {boolean} - True if the browser accepted the request
+   * @private
+   */
+  sendUnloading(body) {
+    if (navigator.sendBeacon) {
+      const blob = new Blob([body], { type: 'application/json' });
+      if (navigator.sendBeacon(this.endpoint, blob)) {
+        return true;
+      }
+    }
+
+    if (typeof fetch === 'function' && body.length <= KEEPALIVE_LIMIT) {
+      try {
+        fetch(this.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.headers },
+          body,
+          keepalive: true
+        }).catch(() => {});
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Read the persisted retry queue
+   * @returns {string[]} - Queued bodies
+   * @private
+   */
+  readQueue() {
+    try {
+      const raw = window.localStorage.getItem(this.queueKey);
+      return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the persisted retry queue
+   * @param {string[]} queue - Queued bodies
+   * @private
+   */
+  writeQueue(queue) {
+    try {
+      if (queue.length === 0) {
+        window.localStorage.removeItem(this.queueKey);
+      } else {
+        window.localStorage.setItem(this.queueKey, JSON.stringify(queue));
+      }
+    } catch (error) {
+      this.emit('failed', { message: 'Retry queue could not be saved', error });
+    }
+  }
+
+  /**
+   * Add a failed body to the retry queue, dropping the oldest when full
+   * @param {string} body - Serialized payload
+   * @private
+   */
+  persist(body) {
+    const queue = this.readQueue();
+    queue.push(body);
+    this.writeQueue(queue.slice(-this.maxQueueSize));
+  }
+
+  /**
+   * Resend queued payloads in order, stopping at the first failure
+   * @returns {Promise<void>}
+   */
+  drainQueue = async () => {
+    if (this.draining || navigator.onLine === false) return;
+
+    this.draining = true;
+    try {
+      let queue = this.readQueue();
+      while (queue.length > 0) {
+        const body = queue[0];
+        if (!(await this.send(body))) break;
+
+        // Re-read, since failed flushes may have appended while sending
+        queue = this.readQueue();
+        const index = queue.indexOf(body);
+        if (index !== -1) queue.splice(index, 1);
+        this.writeQueue(queue);
+        this.emit('retried', { remaining: queue.length });
+      }
+    } finally {
+      this.draining = false;
+    }
+  };
+
+  /**
+   * Drop the persisted retry queue and any pending records
+   */
+  clear() {
+    this.batch = [];
+    this.writeQueue([]);
+  }
+}
+
+export default Transport;
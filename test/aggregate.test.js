@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateExports, percentile } from '../src/aggregate.js';
+
+/**
+ * Build a minimal export with the given dwell times in page order
+ * @param {Object<string, number>} times - Raw time by block ID
+ * @returns {Object} - Export payload
+ */
+function exportOf(times) {
+  const blocks = {};
+  Object.entries(times).forEach(([id, rawTime]) => {
+    blocks[id] = { kind: 'paragraph', text: id, rawTime };
+  });
+  return { schemaVersion: 1, order: Object.keys(times), blocks };
+}
+
+test('percentile interpolates between sorted values', () => {
+  assert.equal(percentile([], 0.5), 0);
+  assert.equal(percentile([10], 0.9), 10);
+  assert.equal(percentile([0, 10, 20, 30], 0.5), 15);
+  assert.equal(percentile([0, 10, 20, 30], 1), 30);
+});
+
+test('per-block statistics over the readers who reached the block', () => {
+  const aggregate = aggregateExports([
+    exportOf({ intro: 1000, body: 4000, outro: 0 }),
+    exportOf({ intro: 3000, body: 0, outro: 0 }),
+    exportOf({ intro: 2000, body: 2000, outro: 500 })
+  ]);
+
+  assert.equal(aggregate.readers, 3);
+  assert.deepEqual(aggregate.order, ['intro', 'body', 'outro']);
+  assert.deepEqual(aggregate.blocks.intro, {
+    kind: 'paragraph',
+    text: 'intro',
+    readers: 3,
+    reach: 1,
+    mean: 2000,
+    median: 2000,
+    p90: 2800,
+    dropOff: 1 / 3
+  });
+  assert.equal(aggregate.blocks.body.readers, 2);
+  assert.equal(aggregate.blocks.body.dropOff, 0.5);
+  assert.equal(aggregate.blocks.outro.reach, 1 / 3);
+  assert.equal(aggregate.blocks.outro.dropOff, 1);
+});
+
+test('minDwell decides which blocks count as reached', () => {
+  const aggregate = aggregateExports([
+    exportOf({ intro: 5000, body: 800 })
+  ], { minDwell: 1000 });
+
+  assert.equal(aggregate.blocks.body.readers, 0);
+  assert.equal(aggregate.blocks.body.dropOff, 0);
+  assert.equal(aggregate.blocks.intro.dropOff, 1);
+});
+
+test('drop-off follows the exported order, not key order', () => {
+  const payload = exportOf({ second: 1000, first: 1000 });
+  payload.order = ['first', 'second'];
+
+  const aggregate = aggregateExports([payload]);
+  assert.deepEqual(aggregate.order, ['first', 'second']);
+  assert.equal(aggregate.blocks.second.dropOff, 1);
+  assert.equal(aggregate.blocks.first.dropOff, 0);
+});
+
+test('only arrays of exports are accepted', () => {
+  assert.throws(() => aggregateExports({}), TypeError);
+  assert.deepEqual(aggregateExports([]), { readers: 0, order: [], blocks: {} });
+});
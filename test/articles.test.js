@@ -0,0 +1,53 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom('<main id="a"><section id="one"><p>First story</p></section></main>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ articleSelector: 'section' });
+  tracker.init('#a');
+  tracker.startTracking();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('articles matching the selector are registered', () => {
+  const section = document.createElement('section');
+  section.id = 'two';
+  section.innerHTML = '<p>Second story</p>';
+  document.getElementById('a').append(section);
+  env.flushMutations();
+
+  const { blocks } = tracker.exportData();
+  assert.equal(blocks[section.firstChild.dataset.highlightId].article, 'two');
+  assert.equal(blocks[document.querySelector('#one p').dataset.highlightId].article, 'one');
+});
+
+test('an article added and removed in one batch does not stop discovery', () => {
+  const container = document.getElementById('a');
+  const transient = document.createElement('section');
+  transient.innerHTML = '<p>Gone again</p>';
+  const later = document.createElement('p');
+  later.textContent = 'Added after it';
+
+  container.append(transient);
+  transient.remove();
+  container.append(later);
+  assert.doesNotThrow(() => env.flushMutations());
+
+  const { blocks } = tracker.exportData();
+  assert.ok(later.dataset.highlightId in blocks);
+  assert.equal(Object.values(blocks).some(block => block.article === 'article-1'), false);
+  assert.throws(() => tracker.addArticle(transient), /inside the tracked container/);
+});
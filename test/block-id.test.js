@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+import { createBlockId, normalizeText, resolveCollision } from '../src/block-id.js';
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>Intro</p><p id="repeat">Same text</p></article>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('IDs depend on normalized content only', () => {
+  const a = document.createElement('p');
+  const b = document.createElement('p');
+  a.textContent = '  Same\n text ';
+  b.textContent = 'same text';
+
+  assert.equal(normalizeText(a.textContent), 'same text');
+  assert.equal(createBlockId(a), createBlockId(b));
+  assert.equal(resolveCollision('b-1', new Set(['b-1', 'b-1-2'])), 'b-1-3');
+});
+
+test('identical blocks added later are numbered in document order', () => {
+  const changes = [];
+  tracker.on('blockIdChanged', event => changes.push(event));
+  tracker.init('#a');
+  tracker.startTracking();
+
+  const existing = document.getElementById('repeat');
+  const baseId = existing.dataset.highlightId;
+  env.setVisibility(existing, 1);
+  env.advance(1000);
+  env.setVisibility(existing, 0);
+
+  const inserted = document.createElement('p');
+  inserted.textContent = 'Same text';
+  existing.before(inserted);
+  env.flushMutations();
+
+  assert.equal(inserted.dataset.highlightId, baseId);
+  assert.equal(existing.dataset.highlightId, `${baseId}-2`);
+  assert.deepEqual(changes.map(({ previousId, id }) => [previousId, id]), [[baseId, `${baseId}-2`]]);
+  // Accrued time follows its block
+  const data = tracker.exportData();
+  assert.equal(data.blocks[`${baseId}-2`].rawTime, 1000);
+  assert.equal(data.blocks[baseId].rawTime, 0);
+
+  inserted.remove();
+  env.flushMutations();
+  assert.equal(existing.dataset.highlightId, baseId);
+  assert.equal(tracker.exportData().blocks[baseId].rawTime, 1000);
+});
+
+test('duplicate author IDs are suffixed with a warning', () => {
+  document.getElementById('a').innerHTML = '<p data-highlight-id="lead">One</p><p data-highlight-id="lead">Two</p>';
+  const warnings = [];
+  tracker.on('warning', event => warnings.push(event.message));
+  tracker.init('#a');
+  tracker.startTracking();
+
+  const [first, second] = document.querySelectorAll('#a p');
+  assert.equal(first.dataset.highlightId, 'lead');
+  assert.equal(second.dataset.highlightId, 'lead-2');
+  assert.equal(warnings.length, 1);
+
+  env.setVisibility(first, 1);
+  env.advance(1000);
+  const { blocks } = tracker.exportData();
+  assert.equal(blocks.lead.rawTime, 1000);
+  assert.equal(blocks['lead-2'].rawTime, 0);
+});
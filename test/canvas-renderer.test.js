@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import CanvasHeatmapRenderer from '../src/canvas-renderer.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let rects;
+
+const segments = [
+  { id: 'a', top: 0, height: 0.5, color: 'red', title: 'Block a' },
+  { id: 'b', top: 0.1, height: 0.1, color: 'green', title: 'Nested b' },
+  { id: 'c', top: 0.8, height: 0.001, color: 'blue', title: 'Tiny c' }
+];
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  rects = [];
+  // jsdom has no 2D context, record the drawing calls instead
+  window.HTMLCanvasElement.prototype.getContext = () => ({
+    clearRect() {},
+    fillRect(x, y, width, height) {
+      rects.push({ color: this.fillStyle, y, height });
+    }
+  });
+});
+
+afterEach(() => {
+  uninstallDom();
+});
+
+/**
+ * Give a canvas a layout size
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {number} height - Height in CSS pixels
+ */
+function setSize(canvas, height) {
+  Object.defineProperty(canvas, 'clientWidth', { configurable: true, value: 20 });
+  Object.defineProperty(canvas, 'clientHeight', { configurable: true, value: height });
+}
+
+test('segments are drawn at device pixel scale with a minimum height', () => {
+  const renderer = new CanvasHeatmapRenderer({ minSegmentHeight: 2 });
+  setSize(renderer.canvas, 1000);
+  window.devicePixelRatio = 2;
+  renderer.render(segments);
+
+  assert.equal(renderer.canvas.width, 40);
+  assert.equal(renderer.canvas.height, 2000);
+  assert.deepEqual(rects, [
+    { color: 'red', y: 0, height: 1000 },
+    { color: 'green', y: 200, height: 200 },
+    { color: 'blue', y: 1600, height: 4 }
+  ]);
+});
+
+test('positions hit the innermost drawn segment', () => {
+  const selected = [];
+  const renderer = new CanvasHeatmapRenderer({ onSelect: segment => selected.push(segment.id) });
+  setSize(renderer.canvas, 1000);
+  renderer.render(segments);
+
+  assert.equal(renderer.hitTest(50).id, 'a');
+  assert.equal(renderer.hitTest(150).id, 'b');
+  assert.equal(renderer.hitTest(250).id, 'a');
+  assert.equal(renderer.hitTest(801).id, 'c');
+  assert.equal(renderer.hitTest(900), null);
+
+  const click = new window.MouseEvent('click');
+  Object.defineProperty(click, 'offsetY', { value: 150 });
+  renderer.canvas.dispatchEvent(click);
+  const move = new window.MouseEvent('mousemove');
+  Object.defineProperty(move, 'offsetY', { value: 801 });
+  renderer.canvas.dispatchEvent(move);
+
+  assert.deepEqual(selected, ['b']);
+  assert.equal(renderer.canvas.title, 'Tiny c');
+});
+
+test('the canvas renderer replaces the strip segments', () => {
+  const env = installTestEnvironment();
+
+  try {
+    const tracker = new HighlightTracker({ renderer: 'canvas' });
+    tracker.init('#a');
+    tracker.createHeatmap();
+    env.advance(16);
+
+    const strip = document.querySelector('.highlight-tracker-heatmap');
+    assert.equal(strip.querySelectorAll('canvas.heatmap-canvas').length, 1);
+    assert.equal(strip.querySelectorAll('.heatmap-segment').length, 0);
+    assert.equal(rects.length, 2);
+
+    tracker.destroy();
+    assert.equal(document.querySelector('canvas'), null);
+  } finally {
+    env.uninstall();
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+import { createGradient, createColorScale, createCategoricalScale, withOpacity } from '../src/color-scale.js';
+
+test('gradients interpolate between any number of stops', () => {
+  const gradient = createGradient(['#000000', '#ff0000', '#ffffff']);
+
+  assert.equal(gradient(0), 'rgb(0, 0, 0)');
+  assert.equal(gradient(0.5), 'rgb(255, 0, 0)');
+  assert.equal(gradient(0.75), 'rgb(255, 128, 128)');
+  assert.equal(gradient(2), 'rgb(255, 255, 255)');
+  assert.equal(createGradient(['red'])(0.3), 'red');
+  assert.throws(() => createGradient([]), TypeError);
+});
+
+test('scale types normalize values differently', () => {
+  const values = [0, 10, 100, 1000];
+  const stops = ['#000000', '#ffffff'];
+  const linear = createColorScale({ stops }, values);
+  const log = createColorScale({ stops, type: 'log' }, values);
+  const quantile = createColorScale({ stops, type: 'quantile' }, values);
+
+  assert.equal(linear.normalize(100), 0.1);
+  assert.ok(log.normalize(100) > 0.6);
+  assert.equal(quantile.normalize(100), 2 / 3);
+  assert.equal(quantile.normalize(0), 0);
+  assert.equal(linear.invert(0.5), 500);
+  assert.equal(Math.round(log.invert(log.normalize(100))), 100);
+  assert.equal(quantile.invert(1), 1000);
+  assert.equal(linear.color(1000), 'rgb(255, 255, 255)');
+  assert.throws(() => createColorScale({ stops, type: 'sqrt' }, values), RangeError);
+});
+
+test('categorical scales and opacity', () => {
+  const scale = createCategoricalScale({ skipped: '#e0e0e0', skimmed: '#4f97ff', read: '#0047ab' });
+
+  assert.deepEqual(scale.categories, ['skipped', 'skimmed', 'read']);
+  assert.equal(scale.normalize('skimmed'), 0.5);
+  assert.equal(scale.color('unknown'), '#e0e0e0');
+  assert.equal(withOpacity('#ff0000', 0.25), 'rgba(255, 0, 0, 0.25)');
+});
+
+test('the strip shows a legend labeled with the scale range', () => {
+  const uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  const env = installTestEnvironment();
+
+  try {
+    const tracker = new HighlightTracker({ legend: true, colorStops: ['#000000', '#ffffff'] });
+    tracker.init('#a');
+    tracker.startTracking();
+    env.setVisibility(document.querySelector('#a p'), 1);
+    env.advance(4000);
+    tracker.createHeatmap();
+    env.advance(16);
+
+    const legend = document.querySelector('.highlight-tracker-heatmap .heatmap-legend');
+    const labels = [...legend.querySelectorAll('.heatmap-legend-labels span')].map(label => label.textContent);
+    assert.equal(labels.length, 3);
+    assert.notEqual(labels[0], labels[2]);
+    assert.match(legend.querySelector('.heatmap-legend-bar').style.background, /rgb\(255, 255, 255\).*rgb\(0, 0, 0\)/);
+    tracker.destroy();
+  } finally {
+    env.uninstall();
+    uninstallDom();
+  }
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EngagementEngine, { scoreBlock } from '../src/engagement-engine.js';
+
+test('time accrues at or above the visibility threshold', () => {
+  const engine = new EngagementEngine({ visibilityThreshold: 0.5 });
+
+  engine.sample('a', 0.8, 0);
+  engine.sample('b', 0.4, 0);
+  engine.updateAll(1000);
+
+  assert.equal(engine.getBlock('a').timeSpent, 1000);
+  assert.equal(engine.getBlock('a').weightedTime, 800);
+  assert.equal(engine.getBlock('b').timeSpent, 0);
+});
+
+test('time up to a sample accrues at the previous ratio', () => {
+  const engine = new EngagementEngine();
+
+  engine.sample('a', 1, 0);
+  engine.sample('a', 0.6, 1000);
+  engine.sample('a', 0, 3000);
+  engine.updateAll(5000);
+
+  const block = engine.getBlock('a');
+  assert.equal(block.timeSpent, 3000);
+  assert.equal(block.weightedTime, 2200);
+  assert.equal(block.maxRatio, 1);
+});
+
+test('nothing accrues while inactive', () => {
+  const engine = new EngagementEngine();
+
+  engine.sample('a', 1, 0);
+  engine.setActive(false, 1000);
+  engine.setActive(true, 4000);
+  engine.updateAll(5000);
+
+  assert.equal(engine.getBlock('a').timeSpent, 2000);
+});
+
+test('blocks added with state keep it and are mutated in place', () => {
+  const engine = new EngagementEngine();
+  const state = { kind: 'paragraph', timeSpent: 500 };
+
+  assert.equal(engine.addBlock('a', state), state);
+  engine.sample('a', 1, 0);
+  engine.update('a', 250);
+
+  assert.equal(state.timeSpent, 750);
+  assert.equal(state.kind, 'paragraph');
+});
+
+test('removed blocks stop accruing', () => {
+  const engine = new EngagementEngine();
+
+  engine.sample('a', 1, 0);
+  engine.removeBlock('a');
+  engine.updateAll(1000);
+
+  assert.equal(engine.getBlock('a'), undefined);
+  assert.deepEqual(engine.getResults(), {});
+});
+
+test('getResults rounds totals and applies minTimeThreshold', () => {
+  const engine = new EngagementEngine({ minTimeThreshold: 1000 });
+
+  engine.sample('a', 0.75, 0);
+  engine.updateAll(1500.4);
+
+  assert.deepEqual(engine.getResults().a, {
+    timeSpent: 1500,
+    adjustedTime: 500,
+    weightedTime: 1125,
+    maxRatio: 0.75,
+    score: 1500.4
+  });
+});
+
+test('fromSamples replays an unordered sample log', () => {
+  const engine = EngagementEngine.fromSamples([
+    { blockId: 'a', ratio: 0, timestamp: 4000 },
+    { active: false, timestamp: 1000 },
+    { blockId: 'a', ratio: 1, timestamp: 0 },
+    { active: true, timestamp: 2000 }
+  ]);
+
+  assert.equal(engine.getBlock('a').timeSpent, 3000);
+  assert.throws(() => EngagementEngine.fromSamples(null), TypeError);
+});
+
+test('scoring models rank blocks by their own measure', () => {
+  const block = { timeSpent: 6000, weightedTime: 3000, wordCount: 23 };
+
+  assert.equal(scoreBlock(block, 'raw'), 6000);
+  assert.equal(scoreBlock(block, 'weighted'), 3000);
+  assert.equal(scoreBlock(block, 'perWord'), 6000 / 23);
+  // 23 words take 6s at 230 wpm
+  assert.equal(scoreBlock(block, 'readRatio'), 1);
+  assert.equal(scoreBlock(block, 'readRatio', { expectedWpm: 115 }), 0.5);
+  assert.equal(scoreBlock(block, (totals, { expectedWpm }) => totals.wordCount * expectedWpm), 23 * 230);
+});
+
+test('scores that are not finite non-negative numbers count as 0', () => {
+  assert.equal(scoreBlock({ timeSpent: 1 }, () => NaN), 0);
+  assert.equal(scoreBlock({ timeSpent: 1 }, () => -5), 0);
+  assert.equal(scoreBlock({ timeSpent: 1 }, () => Infinity), 0);
+});
+
+test('word-based models need word counts', () => {
+  assert.throws(() => scoreBlock({ timeSpent: 1000 }, 'perWord'), TypeError);
+  assert.throws(() => scoreBlock({ timeSpent: 1000 }, 'unknown'), RangeError);
+  assert.throws(() => new EngagementEngine({ scoring: 'unknown' }), RangeError);
+
+  const engine = EngagementEngine.fromSamples([
+    { blockId: 'a', ratio: 1, timestamp: 0, wordCount: 4 },
+    { blockId: 'a', ratio: 0, timestamp: 2000 }
+  ], { scoring: 'perWord' });
+  assert.equal(engine.getResults().a.score, 500);
+});
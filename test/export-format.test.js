@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import { MemoryAdapter, SNAPSHOT_VERSION } from '../src/storage.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+import { SCHEMA_VERSION, serializeExport, parseExport } from '../src/export-format.js';
+
+const payload = {
+  schemaVersion: SCHEMA_VERSION,
+  session: { id: 's1', url: 'https://example.com/post', startedAt: 1000, exportedAt: 5000 },
+  order: ['b-2', 'b-1'],
+  blocks: {
+    'b-1': { kind: 'paragraph', rawTime: 1200, text: 'Plain text', interactions: { selections: 1 } },
+    'b-2': { kind: 'heading', rawTime: 300, text: 'Says "hi", twice\nthen stops' }
+  },
+  attention: { activeTime: 1500, idleTime: 0 },
+  timeline: {
+    intervals: [{ blockId: 'b-2', enter: 1000, exit: 1300 }, { blockId: 'b-1', enter: 1300, exit: 2500 }],
+    path: ['b-2', 'b-1'],
+    dropped: 0
+  }
+};
+
+test('json and ndjson round-trip', () => {
+  assert.deepEqual(parseExport(serializeExport(payload)), payload);
+  assert.deepEqual(parseExport(serializeExport(payload, 'ndjson'), 'ndjson'), payload);
+});
+
+test('ndjson has a session line, then blocks in order, then intervals', () => {
+  const types = serializeExport(payload, 'ndjson').split('\n').map(line => JSON.parse(line).type);
+  assert.deepEqual(types, ['session', 'block', 'block', 'interval', 'interval']);
+});
+
+test('csv has one escaped row per block in order', () => {
+  const rows = serializeExport(payload, 'csv').split('\r\n');
+  const header = rows[0].split(',');
+
+  assert.equal(rows.length, 3);
+  assert.equal(header[0], 'sessionId');
+  assert.ok(rows[1].startsWith('s1,https://example.com/post,0,b-2,'));
+  assert.ok(rows[1].endsWith('"Says ""hi"", twice\nthen stops"'));
+  assert.equal(rows[2].split(',')[header.indexOf('selections')], '1');
+});
+
+test('parseExport rejects foreign input and newer schema versions', () => {
+  assert.throws(() => parseExport('{"foo":1}'), TypeError);
+  assert.throws(() => parseExport({ blocks: {} }), TypeError);
+  assert.throws(() => parseExport({ ...payload, schemaVersion: SCHEMA_VERSION + 1 }), RangeError);
+  assert.throws(() => parseExport('a,b', 'csv'), RangeError);
+  assert.throws(() => serializeExport(payload, 'xml'), RangeError);
+});
+
+test('a tracker export imports into another tracker on the same page', () => {
+  const uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  const env = installTestEnvironment();
+
+  try {
+    const reader = new HighlightTracker();
+    reader.init('#a');
+    reader.startTracking();
+    const [first, second] = document.querySelectorAll('#a p');
+    env.setVisibility(first, 1);
+    env.advance(2000);
+    env.setVisibility(second, 0.6);
+    env.advance(1000);
+    const exported = reader.exportAs('ndjson');
+    const original = reader.exportData();
+    reader.destroy();
+
+    const viewer = new HighlightTracker();
+    viewer.init('#a');
+    assert.deepEqual(viewer.importData(exported, { format: 'ndjson' }), { matched: 2, total: 2 });
+
+    const imported = viewer.exportData();
+    [first, second].forEach(element => {
+      const id = element.dataset.highlightId;
+      assert.equal(imported.blocks[id].rawTime, original.blocks[id].rawTime);
+      assert.equal(imported.blocks[id].weightedTime, original.blocks[id].weightedTime);
+      assert.equal(imported.blocks[id].maxRatio, original.blocks[id].maxRatio);
+    });
+    assert.equal(imported.blocks[second.dataset.highlightId].rawTime, 1000);
+    viewer.destroy();
+  } finally {
+    env.uninstall();
+    uninstallDom();
+  }
+});
+
+test('legacy exports keep the 1.x flat shape', () => {
+  const uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  const env = installTestEnvironment();
+
+  try {
+    const tracker = new HighlightTracker();
+    tracker.init('#a');
+    tracker.startTracking();
+    const [first, second] = document.querySelectorAll('#a p');
+    env.setVisibility(first, 0.5);
+    env.advance(1000);
+
+    const legacy = tracker.exportData({ legacy: true });
+    const current = tracker.exportData();
+    assert.deepEqual(Object.keys(legacy), [first.dataset.highlightId, second.dataset.highlightId]);
+    assert.equal(legacy.schemaVersion, undefined);
+    assert.equal(legacy[first.dataset.highlightId].visibleRatio, 0.5);
+    assert.equal(legacy[first.dataset.highlightId].rawTime, current.blocks[first.dataset.highlightId].rawTime);
+    assert.equal('visibleRatio' in current.blocks[first.dataset.highlightId], false);
+    tracker.destroy();
+  } finally {
+    env.uninstall();
+    uninstallDom();
+  }
+});
+
+test('a restore still loading is dropped by an import', async () => {
+  const uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  const env = installTestEnvironment();
+
+  try {
+    const first = document.querySelector('#a p');
+    const adapter = new MemoryAdapter();
+    const load = adapter.load.bind(adapter);
+    let finishLoad;
+    adapter.load = key => new Promise(resolve => {
+      finishLoad = () => resolve(load(key));
+    });
+
+    const tracker = new HighlightTracker({ persistence: { adapter, key: 'reader' } });
+    tracker.init('#a');
+    const id = first.dataset.highlightId;
+    const stored = { version: SNAPSHOT_VERSION, savedAt: Date.now(), blocks: { [id]: { timeSpent: 4000, weightedTime: 4000 } } };
+    await adapter.save('reader', stored);
+
+    tracker.importData({ ...tracker.exportData(), blocks: { [id]: { rawTime: 1000, weightedTime: 1000 } } });
+    finishLoad();
+    await tracker.restorePromise;
+    env.setTabVisible(false);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(tracker.exportData().blocks[id].rawTime, 1000);
+    assert.deepEqual(await load('reader'), stored);
+    tracker.destroy();
+  } finally {
+    env.uninstall();
+    uninstallDom();
+  }
+});
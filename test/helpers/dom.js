@@ -0,0 +1,45 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Globals the tracker reads from the browser
+ * @type {string[]}
+ */
+const DOM_GLOBALS = [
+  'document', 'navigator', 'location', 'history', 'localStorage', 'Node', 'Element',
+  'HTMLElement', 'NodeFilter', 'MutationObserver', 'Event', 'getComputedStyle'
+];
+
+/**
+ * Create a jsdom window and expose it as the global browser environment
+ * @param {string} [html=''] - Body markup
+ * @param {Object} [options] - Options
+ * @param {string} [options.url='http://localhost/article'] - Page URL
+ * @returns {Function} - Cleanup removing the globals and closing the window
+ */
+export function installDom(html = '', { url = 'http://localhost/article' } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { pretendToBeVisual: true, url });
+  const { window } = dom;
+  const previous = new Map();
+
+  const expose = (key, value) => {
+    previous.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+    Object.defineProperty(globalThis, key, { configurable: true, writable: true, value });
+  };
+
+  expose('window', window);
+  DOM_GLOBALS.forEach(key => {
+    const value = window[key];
+    expose(key, typeof value === 'function' && key === 'getComputedStyle' ? value.bind(window) : value);
+  });
+
+  return () => {
+    previous.forEach((descriptor, key) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, key, descriptor);
+      } else {
+        delete globalThis[key];
+      }
+    });
+    window.close();
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Give elements a vertical layout, which jsdom doesn't compute
+ * Boxes are placed in the scrolled content's coordinates; their client rects
+ * follow the scroll position of the scroll root, or of the page without one.
+ * @param {Object} options - Layout options
+ * @param {Array<Array>} options.boxes - `[element, top, height]` of each laid out element
+ * @param {HTMLElement} [options.scrollRoot] - Scrolling element, the page when omitted
+ * @param {number} [options.rootTop=0] - Viewport offset of the scroll root
+ * @param {number} [options.viewportHeight=500] - Visible height of the scroll root or page
+ * @returns {Function} - `scrollTo(top)`, moving the scroll position and dispatching `scroll`
+ */
+export function installLayout({ boxes, scrollRoot = null, rootTop = 0, viewportHeight = 500 }) {
+  const contentHeight = Math.max(...boxes.map(([, top, height]) => top + height), viewportHeight);
+  let scrollTop = 0;
+
+  const define = (target, key, get) => {
+    Object.defineProperty(target, key, { configurable: true, get });
+  };
+  const rect = (top, height) => ({
+    top, bottom: top + height, left: 0, right: 600, width: 600, height, x: 0, y: top
+  });
+
+  if (scrollRoot) {
+    define(scrollRoot, 'scrollTop', () => scrollTop);
+    define(scrollRoot, 'clientHeight', () => viewportHeight);
+    define(scrollRoot, 'scrollHeight', () => contentHeight);
+    scrollRoot.getBoundingClientRect = () => rect(rootTop, viewportHeight);
+  } else {
+    define(window, 'scrollY', () => scrollTop);
+    define(window, 'innerHeight', () => viewportHeight);
+    define(document.documentElement, 'scrollHeight', () => contentHeight);
+  }
+
+  boxes.forEach(([element, top, height]) => {
+    element.getBoundingClientRect = () => rect(rootTop + top - scrollTop, height);
+  });
+
+  return (top) => {
+    scrollTop = top;
+    (scrollRoot || window).dispatchEvent(new window.Event('scroll'));
+  };
+}
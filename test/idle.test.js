@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let block;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ idleTimeout: 5000 });
+  tracker.init('#a');
+  tracker.startTracking();
+  block = document.querySelector('#a p');
+  env.setVisibility(block, 1);
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Simulate reader input
+ * @param {string} [type='pointermove'] - Activity event type
+ */
+function activity(type = 'pointermove') {
+  window.dispatchEvent(new window.Event(type));
+}
+
+test('the reader turns idle after the timeout without input', () => {
+  const events = recordEvents(tracker, ['idle', 'active']);
+  env.advance(4999);
+  assert.equal(tracker.isIdle, false);
+
+  env.advance(1);
+  assert.equal(tracker.isIdle, true);
+  assert.deepEqual(events.map(({ type, payload }) => [type, payload.reason]), [['idle', 'timeout']]);
+});
+
+test('input restarts the countdown and ends idleness', () => {
+  const events = recordEvents(tracker, ['idle', 'active']);
+  env.advance(4000);
+  activity('keydown');
+  env.advance(4000);
+  assert.equal(tracker.isIdle, false);
+
+  env.advance(3000);
+  activity();
+  assert.equal(tracker.isIdle, false);
+  assert.deepEqual(events.map(({ type }) => type), ['idle', 'active']);
+  assert.equal(events[1].payload.idleDuration, 2000);
+});
+
+test('idle time is not accrued to blocks', () => {
+  env.advance(8000);
+  activity();
+  env.advance(1000);
+
+  const data = tracker.exportData();
+  assert.equal(data.blocks[block.dataset.highlightId].rawTime, 6000);
+  assert.deepEqual(data.attention, { activeTime: 6000, idleTime: 3000 });
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let frame;
+
+/**
+ * Give the frame a new document and dispatch its load event
+ * jsdom doesn't navigate frames, so the new document is swapped in.
+ * @param {string} html - Body markup of the new document
+ * @returns {Document} - New frame document
+ */
+function reloadFrame(html) {
+  const frameDocument = document.implementation.createHTMLDocument('');
+  frameDocument.body.innerHTML = html;
+  Object.defineProperty(frameDocument, 'defaultView', { value: { frameElement: frame } });
+  Object.defineProperty(frame, 'contentDocument', { configurable: true, value: frameDocument });
+  frame.dispatchEvent(new window.Event('load'));
+  return frameDocument;
+}
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>Host block</p><iframe></iframe></article>');
+  env = installTestEnvironment();
+  frame = document.querySelector('iframe');
+  frame.contentDocument.body.innerHTML = '<p>Framed block</p>';
+  tracker = new HighlightTracker({ iframes: true, idleTimeout: 1000 });
+  tracker.init('#a');
+  tracker.startTracking();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('blocks inside same-origin frames are tracked', () => {
+  const block = frame.contentDocument.querySelector('p');
+  env.setVisibility(block, 1);
+  env.advance(500);
+
+  assert.equal(tracker.exportData().blocks[block.dataset.highlightId].rawTime, 500);
+});
+
+test('activity inside a frame keeps the reader active', () => {
+  env.advance(900);
+  frame.contentDocument.dispatchEvent(new window.Event('pointermove'));
+  env.advance(900);
+
+  assert.equal(tracker.isIdle, false);
+  env.advance(200);
+  assert.equal(tracker.isIdle, true);
+});
+
+test('a reloaded frame is searched, observed and listened to', () => {
+  const previous = frame.contentDocument.querySelector('p');
+  const previousId = previous.dataset.highlightId;
+  const frameDocument = reloadFrame('<p>Next page</p>');
+  const block = frameDocument.querySelector('p');
+
+  assert.deepEqual(tracker.exportData().order, [document.querySelector('#a p').dataset.highlightId, block.dataset.highlightId]);
+  assert.equal(previousId in tracker.exportData().blocks, false);
+  assert.equal(tracker.searchRoots.includes(previous.parentNode), false);
+  assert.equal(tracker.searchRoots.includes(frameDocument.body), true);
+
+  const added = frameDocument.createElement('p');
+  added.textContent = 'Loaded into the frame later';
+  frameDocument.body.append(added);
+  env.flushMutations();
+  assert.ok(added.dataset.highlightId in tracker.exportData().blocks);
+
+  env.advance(900);
+  frameDocument.dispatchEvent(new window.Event('keydown'));
+  env.advance(900);
+  assert.equal(tracker.isIdle, false);
+});
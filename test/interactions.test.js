@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let first;
+let second;
+
+beforeEach(() => {
+  uninstallDom = installDom(`
+    <article id="a">
+      <p>First block of text</p>
+      <p>Second block <button class="share">Share</button></p>
+      <p>Third block</p>
+    </article>
+  `);
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ interactions: { offsets: true, shareSelector: '.share' } });
+  tracker.init('#a');
+  tracker.startTracking();
+  [first, second] = document.querySelectorAll('#a p');
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Select text from an offset in one block to an offset in another
+ * @param {HTMLElement} startBlock - Block the selection starts in
+ * @param {number} start - Offset into its first text node
+ * @param {HTMLElement} endBlock - Block the selection ends in
+ * @param {number} end - Offset into its first text node
+ */
+function select(startBlock, start, endBlock, end) {
+  const range = document.createRange();
+  range.setStart(startBlock.firstChild, start);
+  range.setEnd(endBlock.firstChild, end);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  document.dispatchEvent(new window.Event('selectionchange'));
+}
+
+/**
+ * Get the exported interactions of a block
+ * @param {HTMLElement} block - Tracked block
+ * @returns {Object} - Interaction counts and ranges
+ */
+function interactions(block) {
+  return tracker.exportData().blocks[block.dataset.highlightId].interactions;
+}
+
+test('a settled selection counts once for every block it touches', () => {
+  const events = recordEvents(tracker, ['selection']);
+  select(first, 6, second, 6);
+  env.advance(499);
+  assert.equal(events.length, 0);
+
+  env.advance(1);
+  document.dispatchEvent(new window.Event('selectionchange'));
+  env.advance(500);
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].payload.blockIds, [first.dataset.highlightId, second.dataset.highlightId]);
+  assert.equal(interactions(first).selections, 1);
+  assert.equal(interactions(second).selections, 1);
+  assert.deepEqual(interactions(first).ranges, [{ type: 'selection', start: 6, end: 19 }]);
+  assert.deepEqual(interactions(second).ranges, [{ type: 'selection', start: 0, end: 6 }]);
+});
+
+test('copies are counted for the copied blocks', () => {
+  select(first, 0, first, 5);
+  document.dispatchEvent(new window.Event('copy'));
+
+  assert.equal(interactions(first).copies, 1);
+  assert.equal(interactions(second).copies, 0);
+});
+
+test('share buttons share the block they are in', () => {
+  document.getSelection().removeAllRanges();
+  document.querySelector('.share').click();
+
+  assert.equal(interactions(second).shares, 1);
+  assert.equal(interactions(first).shares, 0);
+});
+
+test('nothing is counted while tracking is stopped', () => {
+  tracker.stopTracking();
+  select(first, 0, first, 5);
+  env.advance(500);
+  document.dispatchEvent(new window.Event('copy'));
+
+  assert.deepEqual([interactions(first).selections, interactions(first).copies], [0, 0]);
+});
@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let block;
+let id;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ highlightThreshold: 2000, tickInterval: 1000, idleTimeout: 5000 });
+  tracker.init('#a');
+  tracker.startTracking();
+  block = document.querySelector('#a p');
+  id = block.dataset.highlightId;
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('blocks are entered above the visibility threshold and exited below it', () => {
+  const events = recordEvents(tracker, ['blockEnter', 'blockExit']);
+  env.setVisibility(block, 0.3);
+  assert.equal(events.length, 0);
+
+  env.setVisibility(block, 0.6);
+  env.advance(1000);
+  env.setVisibility(block, 0.9);
+  env.advance(500);
+  env.setVisibility(block, 0.2);
+
+  assert.deepEqual(events.map(({ type, payload }) => [type, payload.id]), [['blockEnter', id], ['blockExit', id]]);
+  assert.equal(events[0].payload.ratio, 0.6);
+  assert.deepEqual(
+    { dwell: events[1].payload.dwell, totalTime: events[1].payload.totalTime, maxRatio: events[1].payload.maxRatio },
+    { dwell: 1500, totalTime: 1500, maxRatio: 0.9 }
+  );
+});
+
+test('going idle exits engaged blocks and activity enters them again', () => {
+  const events = recordEvents(tracker, ['blockEnter', 'blockExit']);
+  env.setVisibility(block, 1);
+  env.advance(6000);
+  window.dispatchEvent(new window.Event('keydown'));
+
+  assert.deepEqual(events.map(({ type, time }) => [type, time]), [
+    ['blockEnter', 0], ['blockExit', 5000], ['blockEnter', 6000]
+  ]);
+});
+
+test('highlight fires once when the dwell time crosses the threshold', () => {
+  const events = recordEvents(tracker, ['highlight']);
+  env.setVisibility(block, 1);
+  env.advance(4000);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].payload.id, id);
+  assert.ok(events[0].time >= 2000 && events[0].time < 2100);
+});
+
+test('ticks report live totals and engaged blocks', () => {
+  const events = recordEvents(tracker, ['tick']);
+  env.setVisibility(block, 1);
+  env.advance(3000);
+
+  assert.ok(events.length >= 2 && events.length <= 3);
+  assert.deepEqual(events[events.length - 1].payload.engaged, [id]);
+  assert.ok(events.every(({ payload }, i) => i === 0 || payload.totalTime > events[i - 1].payload.totalTime));
+});
+
+test('blocks added and removed later are reported', () => {
+  const events = recordEvents(tracker, ['blockAdded', 'blockRemoved']);
+  const added = document.createElement('p');
+  added.textContent = 'Third block';
+  document.getElementById('a').append(added);
+  env.flushMutations();
+  block.remove();
+  env.flushMutations();
+
+  assert.deepEqual(events.map(({ type, payload }) => [type, payload.id]), [
+    ['blockAdded', added.dataset.highlightId],
+    ['blockRemoved', id]
+  ]);
+  assert.equal(events[0].payload.kind, 'paragraph');
+});
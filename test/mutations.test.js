@@ -0,0 +1,56 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p></article>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker();
+  tracker.init('#a');
+  tracker.startTracking();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('blocks added to the container are tracked', () => {
+  const block = document.createElement('p');
+  block.textContent = 'Loaded later';
+  document.getElementById('a').append(block);
+  env.flushMutations();
+
+  env.setVisibility(block, 1);
+  env.advance(1000);
+  assert.equal(tracker.exportData().blocks[block.dataset.highlightId].rawTime, 1000);
+});
+
+test('a block added and removed in one batch is never tracked', () => {
+  const block = document.createElement('p');
+  block.textContent = 'Flash of content';
+  const container = document.getElementById('a');
+  container.append(block);
+  block.remove();
+  env.flushMutations();
+
+  assert.equal(block.dataset.highlightId, undefined);
+  assert.equal(tracker.paragraphs.includes(block), false);
+  assert.deepEqual(tracker.exportData().order, [container.firstChild.dataset.highlightId]);
+});
+
+test('removed blocks are untracked', () => {
+  const [block] = document.querySelectorAll('#a p');
+  const id = block.dataset.highlightId;
+  block.remove();
+  env.flushMutations();
+
+  assert.equal(id in tracker.exportData().blocks, false);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  env = installTestEnvironment();
+});
+
+afterEach(() => {
+  env.uninstall();
+  uninstallDom();
+});
+
+test('history methods are restored once the last tracker is destroyed', () => {
+  const { pushState, replaceState } = window.history;
+  const first = new HighlightTracker({ navigation: {} });
+  const second = new HighlightTracker({ navigation: {} });
+  first.init('#a');
+  second.init('#a');
+  const wrapped = window.history.pushState;
+
+  assert.notEqual(wrapped, pushState);
+  first.destroy();
+  assert.equal(window.history.pushState, wrapped);
+  second.destroy();
+  assert.equal(window.history.pushState, pushState);
+  assert.equal(window.history.replaceState, replaceState);
+});
+
+test('a wrapper installed by someone else is kept', () => {
+  const tracker = new HighlightTracker({ navigation: {} });
+  tracker.init('#a');
+  const ours = window.history.pushState;
+  const theirs = function (...args) {
+    return ours.apply(this, args);
+  };
+  window.history.pushState = theirs;
+
+  tracker.destroy();
+  assert.equal(window.history.pushState, theirs);
+});
+
+test('navigation starts a new session with the same heatmap', () => {
+  const tracker = new HighlightTracker({ navigation: {} });
+  const routes = [];
+  tracker.on('routeChange', event => routes.push(event));
+  tracker.init('#a');
+  tracker.startTracking();
+  tracker.createHeatmap({ mode: 'strip', colorBy: 'reading' });
+
+  window.history.pushState({}, '', '/next');
+  env.advance(100);
+
+  assert.equal(routes.length, 1);
+  assert.equal(routes[0].to, 'http://localhost/next');
+  assert.equal(tracker.isTracking, true);
+  assert.equal(tracker.heatmapVisible, true);
+  assert.deepEqual(tracker.getHeatmapOptions(), { mode: 'strip', colorBy: 'reading' });
+  tracker.destroy();
+});
@@ -0,0 +1,72 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom(`
+    <article id="a"><p style="color: red">First block</p><p>Second block</p></article>
+    <article id="b"><p>Other article</p></article>
+  `);
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ overlay: { badge: true } });
+  tracker.init('#a');
+  tracker.startTracking();
+  const [first, second] = document.querySelectorAll('#a p');
+  env.setVisibility(first, 1);
+  env.advance(3000);
+  env.setVisibility(first, 0);
+  env.setVisibility(second, 1);
+  env.advance(1000);
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('overlay mode tints blocks in place and ranks them with badges', () => {
+  tracker.createHeatmap({ mode: 'overlay' });
+  env.advance(16);
+
+  const [first, second] = document.querySelectorAll('#a p');
+  assert.notEqual(first.style.backgroundColor, '');
+  assert.notEqual(second.style.backgroundColor, '');
+  assert.equal(first.style.color, 'red');
+  const badges = [...document.querySelectorAll('.heatmap-badge')];
+  assert.deepEqual(badges.map(badge => [badge.dataset.paragraphId, badge.textContent.split('#')[1]]), [
+    [first.dataset.highlightId, '1'],
+    [second.dataset.highlightId, '2']
+  ]);
+  assert.equal(document.querySelector('.highlight-tracker-heatmap'), null);
+});
+
+test('hiding the overlay restores the original inline styles', () => {
+  tracker.createHeatmap({ mode: 'overlay' });
+  env.advance(16);
+  tracker.hideHeatmap();
+
+  const [first, second] = document.querySelectorAll('#a p');
+  assert.equal(first.getAttribute('style'), 'color: red');
+  assert.equal(second.hasAttribute('style'), false);
+  assert.equal(document.querySelector('.highlight-tracker-overlay'), null);
+});
+
+test('re-initializing removes the previous container\'s tints', () => {
+  tracker.createHeatmap({ mode: 'overlay' });
+  env.advance(16);
+  tracker.init('#b');
+  env.advance(16);
+
+  const [first, second] = document.querySelectorAll('#a p');
+  assert.equal(first.getAttribute('style'), 'color: red');
+  assert.equal(second.hasAttribute('style'), false);
+  assert.equal(document.querySelector('.highlight-tracker-overlay'), null);
+  assert.equal(tracker.heatmapVisible, false);
+});
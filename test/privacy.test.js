@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const SAMPLE_KEY = 'highlight-tracker:sample';
+
+let uninstallDom;
+let env;
+let tracker;
+let requests;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  env = installTestEnvironment();
+  requests = [];
+  globalThis.fetch = async (url, { body }) => {
+    requests.push(JSON.parse(body));
+    return { ok: true };
+  };
+});
+
+afterEach(() => {
+  if (tracker) {
+    tracker.destroy();
+    tracker = null;
+  }
+  delete globalThis.fetch;
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Set a navigator privacy signal
+ * @param {string} key - Navigator property
+ * @param {*} value - Signal value
+ */
+function setSignal(key, value) {
+  Object.defineProperty(navigator, key, { configurable: true, value });
+}
+
+/**
+ * Create a tracker with persistence and transport, tracking the test article
+ * @param {Object} [privacy] - Privacy options
+ * @returns {string[]} - Reasons of `trackingBlocked` events
+ */
+function start(privacy = {}) {
+  tracker = new HighlightTracker({ privacy, persistence: { key: 'reader' }, transport: { endpoint: '/collect' } });
+  const blocked = [];
+  tracker.on('trackingBlocked', ({ reason }) => blocked.push(reason));
+  tracker.init('#a');
+  tracker.startTracking();
+  return blocked;
+}
+
+test('requireConsent blocks tracking, storage and transport until consent is granted', async () => {
+  const blocked = start({ requireConsent: true });
+  const block = document.querySelector('#a p');
+  env.setVisibility(block, 1);
+  env.advance(1000);
+  env.setTabVisible(false);
+
+  assert.deepEqual(blocked, ['consent']);
+  assert.equal(tracker.isTracking, false);
+  assert.equal(tracker.storage, null);
+  assert.equal(tracker.transport, null);
+  assert.equal(localStorage.length, 0);
+  assert.equal(requests.length, 0);
+
+  env.setTabVisible(true);
+  tracker.grantConsent();
+  await tracker.restorePromise;
+  assert.equal(tracker.isTracking, true);
+  env.setVisibility(block, 0);
+  env.setVisibility(block, 1);
+  env.advance(1000);
+  env.setTabVisible(false);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(localStorage.getItem('reader'));
+  assert.equal(requests.length, 1);
+  const snapshot = requests[0].records.find(record => record.type === 'snapshot');
+  assert.equal(snapshot.data.blocks[block.dataset.highlightId].rawTime, 1000);
+});
+
+test('Global Privacy Control and Do Not Track are honored', () => {
+  setSignal('globalPrivacyControl', true);
+  assert.deepEqual(start(), ['gpc']);
+  assert.equal(tracker.storage, null);
+  tracker.destroy();
+
+  setSignal('globalPrivacyControl', false);
+  setSignal('doNotTrack', '1');
+  assert.deepEqual(start(), ['dnt']);
+  assert.equal(tracker.transport, null);
+  tracker.destroy();
+
+  assert.deepEqual(start({ honorDnt: false }), []);
+  assert.equal(tracker.isTracking, true);
+});
+
+test('sampling keeps each visitor in or out across page loads', () => {
+  localStorage.setItem(SAMPLE_KEY, '0.3');
+  assert.deepEqual(start({ sampleRate: 0.5 }), []);
+  tracker.destroy();
+
+  localStorage.setItem(SAMPLE_KEY, '0.7');
+  assert.deepEqual(start({ sampleRate: 0.5 }), ['sampling']);
+  tracker.destroy();
+
+  localStorage.removeItem(SAMPLE_KEY);
+  const random = Math.random;
+  Math.random = () => 0.6;
+  try {
+    assert.deepEqual(start({ sampleRate: 0.5 }), ['sampling']);
+  } finally {
+    Math.random = random;
+  }
+  assert.equal(localStorage.getItem(SAMPLE_KEY), '0.6');
+});
+
+test('revoking consent wipes data and blocks tracking until granted again', async () => {
+  start();
+  const block = document.querySelector('#a p');
+  env.setVisibility(block, 1);
+  env.advance(1000);
+  await tracker.restorePromise;
+  await tracker.checkpoint();
+  assert.ok(localStorage.getItem('reader'));
+
+  tracker.revokeConsent();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(localStorage.getItem('reader'), null);
+  assert.equal(tracker.exportData().blocks[block.dataset.highlightId].rawTime, 0);
+
+  const blocked = [];
+  tracker.on('trackingBlocked', ({ reason }) => blocked.push(reason));
+  tracker.startTracking();
+  assert.deepEqual(blocked, ['consent']);
+  assert.equal(tracker.isTracking, false);
+
+  tracker.grantConsent();
+  assert.equal(tracker.isTracking, true);
+  assert.ok(tracker.storage);
+  assert.ok(tracker.transport);
+});
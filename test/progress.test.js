@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installLayout } from './helpers/layout.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const SIXTY_WORDS = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+
+let uninstallDom;
+let env;
+let blocks;
+let scrollTo;
+
+beforeEach(() => {
+  uninstallDom = installDom(`<article id="a">${`<p>${SIXTY_WORDS}</p>`.repeat(4)}</article>`);
+  env = installTestEnvironment();
+  blocks = [...document.querySelectorAll('#a p')];
+  scrollTo = installLayout({
+    boxes: [[document.getElementById('a'), 0, 2000], ...blocks.map((block, i) => [block, i * 500, 400])]
+  });
+});
+
+afterEach(() => {
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Create a tracking tracker
+ * @param {Object} [progress] - Progress options
+ * @returns {HighlightTracker} - Tracker
+ */
+function start(progress) {
+  const tracker = new HighlightTracker({ progress });
+  tracker.init('#a');
+  tracker.startTracking();
+  return tracker;
+}
+
+test('scroll milestones fire once each, starting with the first viewport', () => {
+  const tracker = new HighlightTracker();
+  const events = recordEvents(tracker, ['milestone']);
+  tracker.init('#a');
+  tracker.startTracking();
+  assert.deepEqual(events.map(({ payload }) => payload.depth), [25]);
+
+  scrollTo(1000);
+  assert.equal(tracker.getProgress().scrollDepth, 75);
+  scrollTo(1500);
+  scrollTo(0);
+  scrollTo(1500);
+
+  assert.deepEqual(events.map(({ payload }) => payload.depth), [25, 50, 75, 100]);
+  assert.equal(tracker.getProgress().scrollDepth, 100);
+  tracker.destroy();
+});
+
+test('progress reports blocks read, the reader\'s pace and the time left', () => {
+  const tracker = start();
+  env.setVisibility(blocks[0], 1);
+  env.advance(10000);
+  env.setVisibility(blocks[0], 0);
+
+  assert.deepEqual(tracker.getProgress(), {
+    blocks: 4,
+    readBlocks: 1,
+    percentRead: 25,
+    scrollDepth: 25,
+    pace: 360,
+    timeRemaining: 30000,
+    completed: false
+  });
+  assert.equal(tracker.exportData().progress.percentRead, 25);
+  tracker.destroy();
+});
+
+test('the default pace estimates the time left until the reader\'s own is known', () => {
+  const tracker = start({ defaultWpm: 240 });
+  assert.equal(tracker.getProgress().timeRemaining, 60000);
+  tracker.destroy();
+});
+
+test('the article is completed once enough of it is read', () => {
+  const tracker = start({ completion: 0.5 });
+  blocks.slice(0, 2).forEach(block => {
+    env.setVisibility(block, 1);
+    env.advance(10000);
+    env.setVisibility(block, 0);
+  });
+
+  assert.equal(tracker.getProgress().completed, true);
+  tracker.destroy();
+});
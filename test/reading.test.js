@@ -0,0 +1,72 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const SIXTY_WORDS = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+
+let uninstallDom;
+let env;
+let tracker;
+let block;
+
+beforeEach(() => {
+  uninstallDom = installDom(`<article id="a"><p>${SIXTY_WORDS}</p><p>Never seen</p><figure></figure></article>`);
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ selector: 'p, figure' });
+  tracker.init('#a');
+  tracker.startTracking();
+  block = document.querySelector('#a p');
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Keep the test block in view for a while
+ * @param {number} ms - Dwell time
+ * @returns {Object} - Exported record of the block
+ */
+function dwell(ms) {
+  env.setVisibility(block, 1);
+  env.advance(ms);
+  env.setVisibility(block, 0);
+  return tracker.exportData().blocks[block.dataset.highlightId];
+}
+
+test('blocks read at a plausible pace are read', () => {
+  const record = dwell(10000);
+  assert.equal(record.reading, 'read');
+  assert.equal(record.readingSpeed, 360);
+});
+
+test('faster paces count as skimmed, then skipped', () => {
+  assert.equal(dwell(2000).reading, 'skipped');
+  assert.equal(dwell(2000).reading, 'skimmed');
+});
+
+test('scrolling quickly past a block makes it skimmed at most', () => {
+  env.setVisibility(block, 1);
+  for (let i = 1; i <= 10; i++) {
+    window.scrollY = i * 500;
+    window.dispatchEvent(new window.Event('scroll'));
+    env.advance(1000);
+  }
+  assert.equal(tracker.exportData().blocks[block.dataset.highlightId].reading, 'skimmed');
+});
+
+test('unseen blocks are skipped and blocks without words only need the threshold', () => {
+  const [, unseen] = document.querySelectorAll('#a p');
+  const figure = document.querySelector('figure');
+  env.setVisibility(figure, 1);
+  env.advance(1500);
+
+  const { blocks } = tracker.exportData();
+  assert.equal(blocks[unseen.dataset.highlightId].reading, 'skipped');
+  assert.equal(blocks[figure.dataset.highlightId].reading, 'read');
+  assert.equal(blocks[figure.dataset.highlightId].readingSpeed, null);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let ids;
+let timeline;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p><p>Third block</p></article>');
+  env = installTestEnvironment();
+  tracker = new HighlightTracker();
+  tracker.init('#a');
+  ids = [...document.querySelectorAll('#a p')].map(block => block.dataset.highlightId);
+  timeline = {
+    intervals: [
+      { blockId: ids[0], enter: 10000, exit: 12000, maxRatio: 1 },
+      { blockId: ids[1], enter: 12000, exit: 13000, maxRatio: 0.5 },
+      { blockId: ids[0], enter: 13000, exit: 14000, maxRatio: 1 }
+    ]
+  };
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Get the background color of a block's strip segment
+ * @param {string} id - Block ID
+ * @returns {string} - Segment color
+ */
+function segmentColor(id) {
+  return document.querySelector(`.heatmap-segment[data-paragraph-id="${id}"]`).style.backgroundColor;
+}
+
+test('seeking shades blocks by the dwell time recorded up to that point', () => {
+  const replay = tracker.replay(timeline);
+  assert.equal(tracker.heatmapVisible, true);
+  assert.deepEqual(replay.getState(), { position: 0, duration: 4000, speed: 1, playing: false, blockId: ids[0] });
+
+  replay.seek(2500);
+  assert.equal(replay.getState().blockId, ids[1]);
+  assert.deepEqual(tracker.replayValues.get(ids[0]), { timeSpent: 2000, weightedTime: 2000 });
+  assert.deepEqual(tracker.replayValues.get(ids[1]), { timeSpent: 500, weightedTime: 250 });
+  assert.equal(tracker.replayValues.has(ids[2]), false);
+  assert.notEqual(segmentColor(ids[0]), segmentColor(ids[1]));
+  assert.equal(segmentColor(ids[2]), 'rgb(198, 226, 255)');
+
+  replay.seek(99999);
+  assert.equal(replay.getState().position, 4000);
+  assert.throws(() => replay.seek('end'), TypeError);
+});
+
+test('playback runs on animation frames at the chosen speed', () => {
+  const events = recordEvents(tracker, ['replayStart', 'replayProgress', 'replayEnd']);
+  const replay = tracker.replay(timeline, { speed: 2 });
+  replay.play();
+  env.advance(1000);
+
+  assert.equal(replay.getState().playing, true);
+  // Frames are 16ms apart and the first one only sets the reference time
+  assert.equal(replay.getState().position, (992 - 16) * 2);
+
+  env.advance(1100);
+  const types = events.map(({ type }) => type);
+  assert.equal(types[0], 'replayStart');
+  assert.equal(types[types.length - 1], 'replayEnd');
+  assert.ok(types.filter(type => type === 'replayProgress').length >= 10);
+  assert.deepEqual(events[events.length - 1].payload, {
+    position: 4000, duration: 4000, speed: 2, playing: false, blockId: ids[0]
+  });
+});
+
+test('stopping returns the heatmap to live data', () => {
+  const events = recordEvents(tracker, ['replayStop']);
+  const replay = tracker.replay(timeline);
+  replay.seek(4000);
+  replay.stop();
+  env.advance(16);
+
+  assert.equal(tracker.replayValues, null);
+  assert.equal(events.length, 1);
+  assert.equal(segmentColor(ids[0]), segmentColor(ids[2]));
+  assert.throws(() => tracker.replay({}), TypeError);
+});
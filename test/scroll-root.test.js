@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installLayout } from './helpers/layout.js';
+import { installTestEnvironment, FakeIntersectionObserver } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+let pane;
+let blocks;
+let scrollTo;
+
+beforeEach(() => {
+  uninstallDom = installDom(`
+    <div id="pane"><article id="a"><p>One</p><p>Two</p><p>Three</p><p>Four</p></article></div>
+  `);
+  env = installTestEnvironment();
+  pane = document.getElementById('pane');
+  blocks = [...document.querySelectorAll('#a p')];
+  scrollTo = installLayout({
+    scrollRoot: pane,
+    rootTop: 100,
+    boxes: [[document.getElementById('a'), 0, 2000], ...blocks.map((block, i) => [block, i * 500, 400])]
+  });
+  tracker = new HighlightTracker({ scrollRoot: '#pane', idleTimeout: 1000 });
+  tracker.init('#a');
+  tracker.startTracking();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('visibility is observed against the scroll root', () => {
+  const roots = [...FakeIntersectionObserver.instances].map(observer => observer.root);
+  assert.ok(roots.includes(pane));
+});
+
+test('scrolling the root counts as reader activity', () => {
+  env.advance(900);
+  scrollTo(100);
+  env.advance(900);
+  assert.equal(tracker.isIdle, false);
+});
+
+test('scroll depth and block positions use the root\'s content', () => {
+  scrollTo(500);
+  assert.equal(tracker.getProgress().scrollDepth, 50);
+  scrollTo(1500);
+  assert.equal(tracker.getProgress().scrollDepth, 100);
+
+  tracker.createHeatmap();
+  env.advance(16);
+  const tops = blocks.map(block => (
+    document.querySelector(`.heatmap-segment[data-paragraph-id="${block.dataset.highlightId}"]`).style.top
+  ));
+  assert.deepEqual(tops, ['0%', '25%', '50%', '75%']);
+});
+
+test('a missing scroll root is an error', () => {
+  const other = new HighlightTracker({ scrollRoot: '#missing' });
+  assert.throws(() => other.init('#a'), /Scroll root not found: #missing/);
+  other.destroy();
+});
@@ -0,0 +1,72 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom(`
+    <article id="a">
+      <h2>Heading</h2>
+      <p>Body text</p>
+      <ul><li>List item</li></ul>
+      <pre>code()</pre>
+      <figure data-highlight-kind="chart"><figcaption>Caption</figcaption></figure>
+    </article>
+  `);
+  env = installTestEnvironment();
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Track the test article and list the kinds of its blocks
+ * @param {Object} options - Tracker options
+ * @returns {string[]} - Block kinds in page order
+ */
+function trackedKinds(options) {
+  tracker = new HighlightTracker(options);
+  tracker.init('#a');
+  const { order, blocks } = tracker.exportData();
+  return order.map(id => blocks[id].kind);
+}
+
+test('only paragraphs are tracked by default', () => {
+  assert.deepEqual(trackedKinds({}), ['paragraph']);
+});
+
+test('a selector list tracks other block types with their kinds', () => {
+  assert.deepEqual(trackedKinds({ selector: 'h2, p, li, pre, figure' }), [
+    'heading', 'paragraph', 'listItem', 'code', 'chart'
+  ]);
+});
+
+test('a predicate decides which elements are blocks', () => {
+  const kinds = trackedKinds({
+    selector: element => element.childElementCount === 0 && element.textContent.trim().split(/\s+/).length === 2
+  });
+  assert.deepEqual(kinds, ['paragraph', 'listItem']);
+});
+
+test('a throwing predicate is reported and the element skipped', () => {
+  const errors = [];
+  tracker = new HighlightTracker({
+    selector: element => {
+      if (element.tagName === 'PRE') throw new Error('broken');
+      return element.tagName === 'P';
+    }
+  });
+  tracker.on('error', event => errors.push(event.message));
+  tracker.init('#a');
+
+  assert.equal(tracker.paragraphs.length, 1);
+  assert.deepEqual(errors, ['Selector evaluation failed']);
+});
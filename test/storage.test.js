@@ -0,0 +1,184 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+import { createStorageAdapter, capSnapshot, MemoryAdapter } from '../src/storage.js';
+
+let uninstallDom;
+let env;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  env = installTestEnvironment();
+});
+
+afterEach(() => {
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Make window.localStorage throw like sandboxed iframes and blocked cookies do
+ */
+function blockLocalStorage() {
+  Object.defineProperty(window, 'localStorage', {
+    configurable: true,
+    get() {
+      throw new window.DOMException('The operation is insecure.', 'SecurityError');
+    }
+  });
+}
+
+test('falls back to memory when localStorage throws', async () => {
+  blockLocalStorage();
+  const errors = [];
+  const adapter = createStorageAdapter('localStorage', error => errors.push(error));
+
+  assert.ok(adapter instanceof MemoryAdapter);
+  assert.equal(errors[0].name, 'SecurityError');
+
+  await adapter.save('key', { blocks: { a: 1 } });
+  assert.deepEqual(await adapter.load('key'), { blocks: { a: 1 } });
+  await adapter.remove('key');
+  assert.equal(await adapter.load('key'), null);
+});
+
+test('tracker keeps working and warns once without storage access', async () => {
+  blockLocalStorage();
+  const tracker = new HighlightTracker({ persistence: {} });
+  const warnings = [];
+  tracker.on('warning', event => warnings.push(event.message));
+
+  tracker.init('#a');
+  tracker.startTracking();
+  await tracker.checkpoint();
+
+  const [first] = document.querySelectorAll('#a p');
+  env.setVisibility(first, 1);
+  env.advance(1000);
+  await tracker.checkpoint();
+
+  assert.deepEqual(warnings, ['Storage is unavailable, engagement is only kept for this page view']);
+  assert.equal(tracker.exportData().blocks[first.dataset.highlightId].rawTime, 1000);
+  tracker.destroy();
+});
+
+test('a failing save is reported instead of rejecting', async () => {
+  const adapter = new MemoryAdapter();
+  adapter.save = async () => {
+    throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+  };
+  const tracker = new HighlightTracker({ persistence: { adapter } });
+  const warnings = [];
+  tracker.on('warning', event => warnings.push(event.message));
+
+  tracker.init('#a');
+  tracker.startTracking();
+  await new Promise(resolve => setImmediate(resolve));
+  env.setVisibility(document.querySelector('#a p'), 1);
+  env.advance(1000);
+
+  await assert.doesNotReject(tracker.checkpoint());
+  assert.deepEqual(warnings, ['Failed to save engagement data']);
+  tracker.destroy();
+});
+
+test('snapshots are capped by their UTF-8 size', () => {
+  const snapshot = {
+    version: 1,
+    savedAt: 0,
+    blocks: {
+      'überschrift-ärger-öl': { timeSpent: 100, weightedTime: 100 },
+      'zusammenfassung-größe': { timeSpent: 900, weightedTime: 900 }
+    }
+  };
+  const bytes = value => new TextEncoder().encode(JSON.stringify(value)).length;
+  const maxBytes = JSON.stringify(snapshot).length;
+
+  const capped = capSnapshot(snapshot, maxBytes);
+  assert.ok(bytes(capped) <= maxBytes);
+  assert.deepEqual(Object.keys(capped.blocks), ['zusammenfassung-größe']);
+  assert.equal(capSnapshot(snapshot, bytes(snapshot)), snapshot);
+});
+
+/**
+ * Minimal in-memory IndexedDB whose transactions commit or abort on demand
+ * @returns {Object} - `indexedDB` stand-in and the transactions it created
+ */
+function createFakeIndexedDB() {
+  const records = new Map();
+  const transactions = [];
+
+  const db = {
+    transaction() {
+      const transaction = {
+        pending: new Map(),
+        objectStore: () => ({
+          get: key => transaction.run(() => records.get(key)),
+          put: (value, key) => transaction.run(() => transaction.pending.set(key, value) && key),
+          delete: key => transaction.run(() => transaction.pending.set(key, undefined) && undefined)
+        }),
+        run(operation) {
+          const request = { result: operation() };
+          queueMicrotask(() => request.onsuccess && request.onsuccess());
+          return request;
+        },
+        commit() {
+          transaction.pending.forEach((value, key) => {
+            if (value === undefined) {
+              records.delete(key);
+            } else {
+              records.set(key, value);
+            }
+          });
+          transaction.oncomplete();
+        },
+        abort(error) {
+          transaction.error = error;
+          transaction.onabort();
+        }
+      };
+      transactions.push(transaction);
+      return transaction;
+    }
+  };
+
+  const indexedDB = {
+    open() {
+      const request = { result: db };
+      queueMicrotask(() => request.onsuccess());
+      return request;
+    }
+  };
+
+  return { indexedDB, transactions, records };
+}
+
+test('IndexedDB saves settle when the transaction commits or aborts', async () => {
+  const fake = createFakeIndexedDB();
+  globalThis.indexedDB = fake.indexedDB;
+
+  try {
+    const adapter = createStorageAdapter('indexedDB');
+    let saved = false;
+    const save = adapter.save('key', { blocks: {} }).then(() => {
+      saved = true;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(saved, false);
+
+    fake.transactions[0].commit();
+    await save;
+    assert.deepEqual(fake.records.get('key'), { blocks: {} });
+
+    const quota = new window.DOMException('Quota exceeded', 'QuotaExceededError');
+    const failing = adapter.save('other', { blocks: {} });
+    await new Promise(resolve => setImmediate(resolve));
+    fake.transactions[1].abort(quota);
+    await assert.rejects(failing, quota);
+    assert.equal(fake.records.has('other'), false);
+  } finally {
+    delete globalThis.indexedDB;
+  }
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment, recordEvents } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const ARTICLE = `
+  <article id="article">
+    <p>First paragraph of the article.</p>
+    <p>Second paragraph of the article.</p>
+    <p>Third paragraph, the one being read.</p>
+  </article>`;
+
+let uninstallDom;
+let env;
+let tracker;
+
+beforeEach(() => {
+  uninstallDom = installDom(ARTICLE);
+  env = installTestEnvironment();
+  tracker = new HighlightTracker({ highlightThreshold: 3000 });
+});
+
+afterEach(() => {
+  tracker.destroy();
+  env.uninstall();
+  uninstallDom();
+});
+
+test('a block in view accrues dwell time until the tab hides', () => {
+  const events = recordEvents(tracker, ['blockEnter', 'highlight']);
+  tracker.init('#article');
+  tracker.startTracking();
+
+  const blocks = document.querySelectorAll('#article p');
+  env.setVisibility(blocks[2], 0.8);
+  env.advance(5000);
+  env.setTabVisible(false);
+  env.advance(10000);
+
+  const data = tracker.exportData();
+  const read = data.blocks[blocks[2].dataset.highlightId];
+  assert.equal(read.rawTime, 5000);
+  assert.equal(read.weightedTime, 4000);
+  assert.equal(read.maxRatio, 0.8);
+  assert.equal(data.blocks[blocks[0].dataset.highlightId].rawTime, 0);
+  assert.equal(data.attention.activeTime, 5000);
+
+  assert.deepEqual(events.map(({ type }) => type), ['blockEnter', 'highlight']);
+  // Highlights are checked on animation frames, so within a frame of the threshold
+  const highlight = events[1];
+  assert.equal(highlight.payload.id, blocks[2].dataset.highlightId);
+  assert.ok(highlight.time >= 3000 && highlight.time < 3100);
+});
+
+test('dwell time resumes when the tab becomes visible again', () => {
+  tracker.init('#article');
+  tracker.startTracking();
+
+  const block = document.querySelectorAll('#article p')[0];
+  env.setVisibility(block, 1);
+  env.advance(2000);
+  env.setTabVisible(false);
+  env.advance(5000);
+  env.setTabVisible(true);
+  env.advance(1000);
+
+  assert.equal(tracker.exportData().blocks[block.dataset.highlightId].rawTime, 3000);
+});
+
+test('flushMutations delivers added blocks to the tracker', () => {
+  const added = recordEvents(tracker, ['blockAdded']);
+  tracker.init('#article');
+
+  const paragraph = document.createElement('p');
+  paragraph.textContent = 'A paragraph loaded later.';
+  document.getElementById('article').appendChild(paragraph);
+  assert.equal(tracker.paragraphs.length, 3);
+
+  env.flushMutations();
+  assert.equal(tracker.paragraphs.length, 4);
+  assert.equal(added.at(-1).payload.element, paragraph);
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const EPOCH = Date.UTC(2024, 0, 1);
+
+let uninstallDom;
+let env;
+let blocks;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p><p>Third block</p></article>');
+  env = installTestEnvironment();
+  blocks = [...document.querySelectorAll('#a p')];
+});
+
+afterEach(() => {
+  env.uninstall();
+  uninstallDom();
+});
+
+/**
+ * Create a tracking tracker
+ * @param {Object} [timeline] - Timeline options
+ * @returns {HighlightTracker} - Tracker
+ */
+function start(timeline = { enabled: true }) {
+  const tracker = new HighlightTracker({ timeline });
+  tracker.init('#a');
+  tracker.startTracking();
+  return tracker;
+}
+
+/**
+ * Read blocks one after another, then go back to the first
+ * @param {number} [ms=1000] - Time spent on each block
+ */
+function readPath(ms = 1000) {
+  [0, 1, 0].forEach(index => {
+    env.setVisibility(blocks[index], 1);
+    env.advance(ms);
+    env.setVisibility(blocks[index], 0);
+  });
+}
+
+test('intervals and the reading path are recorded in visit order', () => {
+  const tracker = start();
+  readPath();
+  env.setVisibility(blocks[2], 0.8);
+  env.advance(500);
+
+  const ids = blocks.map(block => block.dataset.highlightId);
+  const { intervals, path, dropped } = tracker.getTimeline();
+  assert.deepEqual(path, [ids[0], ids[1], ids[0], ids[2]]);
+  assert.deepEqual(intervals[0], { blockId: ids[0], enter: EPOCH, exit: EPOCH + 1000, duration: 1000, maxRatio: 1, direction: 'none' });
+  // Still in view, closed at the time of the call
+  assert.deepEqual([intervals[3].duration, intervals[3].maxRatio], [500, 0.8]);
+  assert.equal(dropped, 0);
+  assert.deepEqual(tracker.exportData().timeline.path, path);
+  tracker.destroy();
+});
+
+test('the oldest intervals are dropped beyond the cap', () => {
+  const tracker = start({ enabled: true, maxEvents: 2 });
+  readPath();
+
+  const { intervals, dropped } = tracker.getTimeline();
+  assert.deepEqual(intervals.map(({ enter }) => enter - EPOCH), [1000, 2000]);
+  assert.equal(dropped, 1);
+  tracker.destroy();
+});
+
+test('nothing is recorded or exported when disabled', () => {
+  const tracker = start({ enabled: false });
+  readPath();
+
+  assert.deepEqual(tracker.getTimeline().intervals, []);
+  assert.equal('timeline' in tracker.exportData(), false);
+  tracker.destroy();
+});
@@ -0,0 +1,160 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installTestEnvironment } from '../src/testing.js';
+import Transport from '../src/transport.js';
+import HighlightTracker from '../src/highlight-tracker.js';
+
+const QUEUE_KEY = 'highlight-tracker:queue';
+
+let uninstallDom;
+let requests;
+let online;
+let beacons;
+
+beforeEach(() => {
+  uninstallDom = installDom('<article id="a"><p>First block</p><p>Second block</p></article>');
+  requests = [];
+  online = true;
+  beacons = [];
+
+  globalThis.fetch = async (url, { body }) => {
+    if (!online) throw new TypeError('Failed to fetch');
+    requests.push(JSON.parse(body));
+    return { ok: true };
+  };
+  Object.defineProperty(navigator, 'sendBeacon', {
+    configurable: true,
+    value: (url, blob) => {
+      beacons.push(blob);
+      return true;
+    }
+  });
+});
+
+afterEach(() => {
+  delete globalThis.fetch;
+  uninstallDom();
+});
+
+/**
+ * Read the records of every beacon sent so far
+ * @returns {Promise<Object[][]>} - Records per beacon
+ */
+async function beaconRecords() {
+  return Promise.all(beacons.map(async blob => JSON.parse(await blob.text()).records));
+}
+
+test('flush sends the batch and reports it', async () => {
+  const transport = new Transport({ endpoint: '/collect' });
+  const sent = [];
+  transport.on('sent', event => sent.push(event));
+
+  transport.enqueue('snapshot', { a: 1 });
+  transport.enqueue('snapshot', { a: 2 });
+  assert.equal(await transport.flush(), true);
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].records.map(record => record.data), [{ a: 1 }, { a: 2 }]);
+  assert.deepEqual(sent, [{ count: 2 }]);
+  assert.equal(await transport.flush(), true);
+  assert.equal(requests.length, 1);
+});
+
+test('undelivered batches are queued and retried in order', async () => {
+  const transport = new Transport({ endpoint: '/collect' });
+  const failed = [];
+  const retried = [];
+  transport.on('failed', event => failed.push(event));
+  transport.on('retried', event => retried.push(event));
+
+  online = false;
+  transport.enqueue('snapshot', { n: 1 });
+  assert.equal(await transport.flush(), false);
+  transport.enqueue('snapshot', { n: 2 });
+  await transport.flush();
+
+  assert.equal(failed.length, 2);
+  assert.equal(failed[0].message, 'Failed to deliver tracking data, queued for retry');
+  assert.equal(JSON.parse(localStorage.getItem(QUEUE_KEY)).length, 2);
+
+  online = true;
+  await transport.drainQueue();
+
+  assert.deepEqual(requests.map(body => body.records[0].data.n), [1, 2]);
+  assert.deepEqual(retried, [{ remaining: 1 }, { remaining: 0 }]);
+  assert.equal(localStorage.getItem(QUEUE_KEY), null);
+});
+
+test('draining stops at the first failure and keeps the rest', async () => {
+  const transport = new Transport({ endpoint: '/collect' });
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(['{"records":[1]}', '{"records":[2]}']));
+
+  let calls = 0;
+  globalThis.fetch = async () => ({ ok: ++calls === 1 });
+  await transport.drainQueue();
+
+  assert.equal(calls, 2);
+  assert.deepEqual(JSON.parse(localStorage.getItem(QUEUE_KEY)), ['{"records":[2]}']);
+});
+
+test('the retry queue keeps the newest payloads', async () => {
+  const transport = new Transport({ endpoint: '/collect', maxQueueSize: 2 });
+
+  online = false;
+  for (let n = 1; n <= 3; n++) {
+    transport.enqueue('snapshot', { n });
+    await transport.flush();
+  }
+
+  const queue = JSON.parse(localStorage.getItem(QUEUE_KEY)).map(body => JSON.parse(body).records[0].data.n);
+  assert.deepEqual(queue, [2, 3]);
+});
+
+test('unloading flushes go through sendBeacon', async () => {
+  const transport = new Transport({ endpoint: '/collect' });
+
+  transport.enqueue('snapshot', { n: 1 });
+  assert.equal(await transport.flush({ unloading: true }), true);
+
+  assert.equal(requests.length, 0);
+  assert.deepEqual((await beaconRecords())[0].map(record => record.data), [{ n: 1 }]);
+});
+
+test('closing the tab sends one final snapshot', async () => {
+  const env = installTestEnvironment();
+
+  try {
+    const tracker = new HighlightTracker({ transport: { endpoint: '/collect' } });
+    tracker.init('#a');
+    tracker.startTracking();
+    env.setVisibility(document.querySelector('#a p'), 1);
+    env.advance(1000);
+
+    // A tab close fires visibilitychange, then pagehide
+    env.setTabVisible(false);
+    window.dispatchEvent(new window.Event('pagehide'));
+
+    const snapshots = (await beaconRecords()).flat().filter(record => record.type === 'snapshot');
+    assert.equal(snapshots.length, 1);
+    tracker.destroy();
+  } finally {
+    env.uninstall();
+  }
+});
+
+test('transport failures reach the tracker with their own message', () => {
+  const env = installTestEnvironment();
+
+  try {
+    const tracker = new HighlightTracker({ transport: { endpoint: '/collect' } });
+    const warnings = [];
+    tracker.on('warning', event => warnings.push(event.message));
+
+    tracker.transport.emit('failed', { message: 'Retry queue could not be saved' });
+    assert.deepEqual(warnings, ['Retry queue could not be saved']);
+    tracker.destroy();
+  } finally {
+    env.uninstall();
+  }
+});
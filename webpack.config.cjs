@@ -2,10 +2,10 @@ const path = require('path');
 const TerserPlugin = require('terser-webpack-plugin');
 
 module.exports = {
-  entry: './src/highlight-tracker.js',
+  entry: ['./src/polyfills.js', './src/highlight-tracker.js'],
   output: {
     path: path.resolve(__dirname, 'dist'),
-    filename: 'highlight-tracker.min.js',
+    filename: 'highlight-tracker.min.cjs',
     library: 'HighlightTracker',
     libraryTarget: 'umd',
     libraryExport: 'default',